@@ -1,6 +1,11 @@
 /**
  * Marketing Attribution Tracker
  * Collects and persists visitor attribution data for 90 days
+ * Keeps the first touch plus a bounded history of later marketing touches
+ * Tracks sessions (30 minutes of inactivity or a new campaign starts a new one)
+ * Classifies each touch into a channel grouping (overridable rule table)
+ * Optional first-party cookie storage shared across subdomains
+ * Waits for analytics consent by default (Google Consent Mode or a CMP signal)
  * Optimized for GA4 (Google Analytics 4)
  */
 
@@ -10,6 +15,84 @@ class AttributionTracker {
     this.expirationDays = config.expirationDays || 90;
     this.measurementId = config.gaMeasurementId || null; // GA4 Measurement ID (required for gtag)
     this.debug = config.debug || false;
+    this.maxTouches = Math.max(2, config.maxTouches || 10); // Touch history cap (first touch is always kept)
+    this.sessionTimeoutMinutes = config.sessionTimeoutMinutes || 30; // Inactivity before a new session
+
+    // Storage: "local" (localStorage only) or "cookie" (first-party cookie scoped
+    // to cookieDomain, mirrored to localStorage as the fallback)
+    this.storageType = config.storage === "cookie" ? "cookie" : "local";
+    this.cookieDomain = this.getCookieDomain(config.cookieDomain);
+
+    // Ad platform click IDs (replaces the default list) and extra parameters
+    // such as affiliate/partner codes (added to it)
+    this.clickIdParams = this.normalizeParamList(
+      config.clickIdParams || AttributionTracker.DEFAULT_CLICK_ID_PARAMS,
+    );
+    this.customParams = this.normalizeParamList(config.customParams || []);
+
+    // Every URL parameter that marks a marketing touch
+    this.attributionParams = [
+      ...new Set([
+        ...this.clickIdParams,
+        ...AttributionTracker.UTM_PARAMS,
+        ...this.customParams,
+      ]),
+    ];
+
+    // Fields stored per touch (besides timestamp / is_first_touch)
+    this.touchFields = [
+      ...this.attributionParams,
+      "landing_page",
+      "referrer",
+      "channel",
+    ];
+
+    // Channel grouping: first matching rule wins, "direct" if none match
+    this.channelRules =
+      config.channelRules || AttributionTracker.DEFAULT_CHANNEL_RULES;
+    this.internalHosts = this.normalizeParamList(config.internalHosts || [], {
+      lowercase: true,
+    });
+
+    // Consent (required unless config.requireConsent is false): nothing is
+    // stored or submitted until analytics_storage is granted
+    this.requireConsent = config.requireConsent !== false;
+    this.consentGranted = this.requireConsent
+      ? this.readGoogleConsent() === true
+      : true;
+    this.consentQueue = []; // Resolvers waiting for a consent decision
+
+    if (this.requireConsent) {
+      // Consent already denied before this page view (e.g. revoked on an
+      // earlier page): purge what an earlier grant stored
+      if (this.readGoogleConsent() === false) {
+        this.clearData();
+      }
+
+      this.listenForConsent();
+    }
+  }
+
+  /**
+   * Normalize a parameter (or host) list from an array or comma-separated string
+   * Parameter names keep their case (URL parameters are case-sensitive); hosts
+   * are lowercased. Anything other than letters, digits, _, - and . is dropped
+   * @param {string[]|string} params - Parameter names or hosts
+   * @param {Object} [options]
+   * @param {boolean} [options.lowercase=false] - Lowercase entries (for hosts)
+   * @returns {string[]} Valid entries
+   */
+  normalizeParamList(params, { lowercase = false } = {}) {
+    const list = typeof params === "string" ? params.split(",") : params;
+
+    return list
+      .map((param) => String(param).trim())
+      .map((param) => (lowercase ? param.toLowerCase() : param))
+      .filter((param) => {
+        if (/^[A-Za-z0-9_.-]+$/.test(param)) return true;
+        if (param) console.warn(`Ignoring invalid attribution tracker entry "${param}"`);
+        return false;
+      });
   }
 
   /**
@@ -18,12 +101,35 @@ class AttributionTracker {
    */
   async init() {
     try {
+      // Without analytics consent nothing is collected; init resumes on grant
+      if (!this.hasConsent()) {
+        this.log("Waiting for analytics consent...");
+        await this.waitForConsent();
+      }
+
       // Check if we already have valid data
       const existingData = this.getStoredData();
 
       if (existingData && !this.isExpired(existingData.timestamp)) {
         this.log("Valid attribution data already exists:", existingData);
-        return existingData;
+
+        // Later visits with new marketing parameters are appended as touches,
+        // and a new campaign always starts a new session
+        const data = this.hasAttributionParams()
+          ? this.recordTouch(existingData)
+          : existingData;
+
+        const updatedData = this.updateSession(data, data !== existingData);
+
+        // Parameters added to the config since the record was created
+        updatedData.tracked_params = this.attributionParams;
+
+        // Records stored before channel grouping existed
+        if (!updatedData.channel) {
+          updatedData.channel = this.classifyChannel(updatedData);
+        }
+        this.storeData(updatedData);
+        return updatedData;
       }
 
       // Collect new data on first visit or after expiration
@@ -38,48 +144,383 @@ class AttributionTracker {
     }
   }
 
+  /**
+   * Whether attribution data may be stored and submitted
+   * @returns {boolean}
+   */
+  hasConsent() {
+    return this.consentGranted;
+  }
+
+  /**
+   * Wait until analytics consent is granted (a denial keeps waiting for a later grant)
+   * @returns {Promise<boolean>} Resolves true once granted
+   */
+  waitForConsent() {
+    if (this.hasConsent()) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      this.consentQueue.push(resolve);
+    });
+  }
+
+  /**
+   * Apply a consent decision from Google Consent Mode or a CMP
+   * Granting flushes pending work (e.g. init); denying or revoking purges stored
+   * data and keeps pending work queued for a later grant
+   * @param {boolean} granted - Whether analytics consent is granted
+   */
+  setConsent(granted) {
+    if (!this.requireConsent) {
+      return;
+    }
+
+    const changed = granted !== this.consentGranted;
+    this.consentGranted = granted;
+
+    if (!granted) {
+      // Also when consent was still pending: data from an earlier page may be stored
+      if (changed) this.log("Analytics consent revoked");
+      this.clearData();
+      return;
+    }
+
+    if (!changed) {
+      return;
+    }
+
+    this.log("Analytics consent granted");
+
+    const queue = this.consentQueue;
+    this.consentQueue = [];
+    queue.forEach((resolve) => resolve(true));
+  }
+
+  /**
+   * Read analytics_storage from Google Consent Mode commands in window.dataLayer
+   * @returns {boolean|null} Latest consent state, or null if none was set
+   */
+  readGoogleConsent() {
+    const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+    let granted = null;
+
+    dataLayer.forEach((entry) => {
+      const state = this.getConsentState(entry);
+      if (state !== null) granted = state;
+    });
+
+    return granted;
+  }
+
+  /**
+   * Extract analytics_storage from a gtag('consent', 'default'|'update', {...}) entry
+   * @param {*} entry - dataLayer entry (gtag pushes its arguments object)
+   * @returns {boolean|null} Consent state, or null if the entry is not a consent command
+   */
+  getConsentState(entry) {
+    if (!entry || entry[0] !== "consent") return null;
+    if (entry[1] !== "default" && entry[1] !== "update") return null;
+
+    const state = entry[2]?.analytics_storage;
+    if (state === "granted") return true;
+    if (state === "denied") return false;
+    return null;
+  }
+
+  /**
+   * Follow consent changes: gtag consent commands pushed to window.dataLayer
+   * and an 'attribution-consent' window event ({ detail: { granted } }) for CMPs
+   */
+  listenForConsent() {
+    window.dataLayer = window.dataLayer || [];
+    const dataLayer = window.dataLayer;
+    const originalPush = dataLayer.push.bind(dataLayer);
+
+    // Chain the existing push (GTM wraps it the same way)
+    dataLayer.push = (...entries) => {
+      const result = originalPush(...entries);
+
+      entries.forEach((entry) => {
+        const state = this.getConsentState(entry);
+        if (state !== null) this.setConsent(state);
+      });
+
+      return result;
+    };
+
+    window.addEventListener("attribution-consent", (event) => {
+      this.setConsent(event.detail?.granted === true);
+    });
+  }
+
   /**
    * Collect all attribution metrics
    * @returns {Promise<Object>} Attribution data object
    */
   async collectAttributionData() {
-    const urlParams = new URLSearchParams(window.location.search);
-
     // Collect Google Analytics 4 Client ID asynchronously
     const gaClientId = await this.getGA4ClientId();
 
-    return {
-      // Click IDs
-      gclid: urlParams.get("gclid") || null,
-      fbclid: urlParams.get("fbclid") || null,
+    const firstTouch = this.collectTouch(true);
 
-      // UTM Parameters
-      utm_source: urlParams.get("utm_source") || null,
-      utm_medium: urlParams.get("utm_medium") || null,
-      utm_campaign: urlParams.get("utm_campaign") || null,
-      utm_term: urlParams.get("utm_term") || null,
-      utm_content: urlParams.get("utm_content") || null,
+    return {
+      // Click IDs, UTM parameters, landing page and referrer of the first touch
+      ...this.pickTouchFields(firstTouch),
 
-      // Page and referrer info
-      landing_page: this.getLandingPage(),
-      referrer: document.referrer || null,
+      // Parameter names captured for this visitor (forwarded by DPR.buildPayload)
+      tracked_params: this.attributionParams,
 
       // Analytics IDs
       ga_client_id: gaClientId,
 
-      // Session info
-      session_id: this.generateSessionId(),
+      // Visitor info (stable for the life of this record)
+      visitor_id: this.generateSessionId(),
       timestamp: Date.now(),
 
+      // Session info
+      ...this.startSession(0),
+      last_activity: Date.now(),
+
       // Browser info (useful for attribution analysis)
       user_agent: navigator.userAgent,
       language: navigator.language || navigator.userLanguage,
 
       // First touch attribution (preserve original source)
       is_first_touch: true,
+
+      // Touch history (first touch first, most recent last)
+      touches: [firstTouch],
+      last_touch: firstTouch,
     };
   }
 
+  /**
+   * Collect the marketing parameters of the current page view as a touch
+   * @param {boolean} isFirstTouch - Whether this is the visitor's first touch
+   * @returns {Object} Touch object
+   */
+  collectTouch(isFirstTouch) {
+    const urlParams = new URLSearchParams(window.location.search);
+
+    const touch = {
+      // Click IDs, UTM parameters and custom parameters
+      ...Object.fromEntries(
+        this.attributionParams.map((param) => [param, urlParams.get(param) || null]),
+      ),
+
+      // Page and referrer info
+      landing_page: this.getLandingPage(),
+      referrer: document.referrer || null,
+
+      timestamp: Date.now(),
+      is_first_touch: isFirstTouch,
+    };
+
+    touch.channel = this.classifyChannel(touch);
+    return touch;
+  }
+
+  /**
+   * Derive the channel grouping of a touch from the channel rule table
+   * A rule matches when any of its criteria match:
+   *   params        - any of these touch parameters is set (e.g. click IDs)
+   *   mediums       - utm_medium is one of these (case-insensitive)
+   *   sources       - utm_source is one of these (case-insensitive)
+   *   referrerHosts - referrer host is (a subdomain of) one of these; entries
+   *                   ending in "." match any TLD (e.g. "google.")
+   *   internal      - referrer is this site or one of internalHosts
+   *   referral      - any other referrer is present
+   *   match         - custom function (touch, context) => boolean
+   * @param {Object} touch - Touch object (parameters, referrer)
+   * @returns {string} Channel name ("direct" when no rule matches)
+   */
+  classifyChannel(touch) {
+    const context = {
+      medium: (touch.utm_medium || "").toLowerCase(),
+      source: (touch.utm_source || "").toLowerCase(),
+      referrerHost: this.getHost(touch.referrer),
+    };
+    context.isInternal =
+      !!context.referrerHost &&
+      (this.hostMatches(context.referrerHost, window.location.hostname) ||
+        this.internalHosts.some((host) =>
+          this.hostMatches(context.referrerHost, host),
+        ));
+
+    const rule = this.channelRules.find((candidate) => {
+      try {
+        return (
+          candidate.params?.some((param) => touch[param]) ||
+          candidate.mediums?.includes(context.medium) ||
+          candidate.sources?.includes(context.source) ||
+          (!!context.referrerHost &&
+            candidate.referrerHosts?.some((host) =>
+              this.hostMatches(context.referrerHost, host),
+            )) ||
+          (candidate.internal && context.isInternal) ||
+          (candidate.referral && !!context.referrerHost && !context.isInternal) ||
+          (typeof candidate.match === "function" && candidate.match(touch, context))
+        );
+      } catch (error) {
+        console.warn(`Channel rule "${candidate.channel}" failed:`, error);
+        return false;
+      }
+    });
+
+    return rule ? rule.channel : "direct";
+  }
+
+  /**
+   * Get the lowercase hostname of a URL
+   * @param {string|null} url - URL to parse
+   * @returns {string|null} Hostname, or null if missing or invalid
+   */
+  getHost(url) {
+    if (!url) return null;
+
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a hostname against a host pattern
+   * @param {string} host - Hostname (e.g. "www.google.ca")
+   * @param {string} pattern - "example.com" matches it and its subdomains;
+   *   "google." matches google.<any TLD> and its subdomains
+   * @returns {boolean}
+   */
+  hostMatches(host, pattern) {
+    if (!host || !pattern) return false;
+
+    if (pattern.endsWith(".")) {
+      return host.startsWith(pattern) || host.includes(`.${pattern}`);
+    }
+
+    return host === pattern || host.endsWith(`.${pattern}`);
+  }
+
+  /**
+   * Append the current page view as a new touch to stored attribution data
+   * Skipped when its marketing parameters match the last touch (e.g. page reload)
+   * @param {Object} data - Stored attribution data
+   * @returns {Object} Updated (or unchanged) attribution data
+   */
+  recordTouch(data) {
+    const touch = this.collectTouch(false);
+    const lastTouch = data.last_touch || this.getFirstTouch(data);
+
+    if (this.getTouchKey(touch) === this.getTouchKey(lastTouch)) {
+      this.log("Marketing parameters unchanged, touch not recorded");
+      return data;
+    }
+
+    // Data stored before touch history existed: seed it with the first touch
+    const touches = Array.isArray(data.touches)
+      ? data.touches
+      : [this.getFirstTouch(data)];
+
+    const updatedData = {
+      ...data,
+      touches: [...touches, touch],
+      last_touch: touch,
+    };
+
+    // Bound the history, always keeping the first touch
+    while (updatedData.touches.length > this.maxTouches) {
+      updatedData.touches.splice(1, 1);
+    }
+
+    this.log("New touch recorded:", touch);
+    return updatedData;
+  }
+
+  /**
+   * Continue the current session or start a new one
+   * A new session starts after sessionTimeoutMinutes of inactivity or on a new campaign
+   * @param {Object} data - Stored attribution data
+   * @param {boolean} isNewCampaign - Whether this page view recorded a new touch
+   * @returns {Object} Attribution data with updated session fields
+   */
+  updateSession(data, isNewCampaign) {
+    const now = Date.now();
+    const timeoutMs = this.sessionTimeoutMinutes * 60 * 1000;
+    const isInactive =
+      typeof data.last_activity !== "number" || now - data.last_activity > timeoutMs;
+
+    const updatedData = {
+      ...data,
+      // Records stored before sessions existed used session_id as the visitor ID
+      visitor_id: data.visitor_id || data.session_id || this.generateSessionId(),
+      last_activity: now,
+    };
+
+    if (isInactive || isNewCampaign || !data.visitor_id) {
+      Object.assign(updatedData, this.startSession(data.session_number || 0));
+      this.log(
+        `Session ${updatedData.session_number} started (${isNewCampaign ? "new campaign" : "inactivity"})`,
+      );
+    }
+
+    return updatedData;
+  }
+
+  /**
+   * Create the fields for a new session
+   * @param {number} previousNumber - Number of sessions before this one
+   * @returns {Object} session_id, session_number and session_start
+   */
+  startSession(previousNumber) {
+    return {
+      session_id: this.generateSessionId(),
+      session_number: previousNumber + 1,
+      session_start: Date.now(),
+    };
+  }
+
+  /**
+   * Build the first touch from top-level attribution fields
+   * @param {Object} data - Stored attribution data
+   * @returns {Object} Touch object
+   */
+  getFirstTouch(data) {
+    if (Array.isArray(data.touches) && data.touches.length) {
+      return data.touches[0];
+    }
+
+    return {
+      ...this.pickTouchFields(data),
+      timestamp: data.timestamp,
+      is_first_touch: true,
+    };
+  }
+
+  /**
+   * Pick the per-touch marketing fields (touchFields) from an object
+   * @param {Object} source - Touch or attribution data
+   * @returns {Object} Marketing fields (missing values as null)
+   */
+  pickTouchFields(source) {
+    return Object.fromEntries(
+      this.touchFields.map((field) => [field, source[field] || null]),
+    );
+  }
+
+  /**
+   * Identify a touch by its click IDs and UTM values
+   * @param {Object} touch - Touch object
+   * @returns {string} Comparison key
+   */
+  getTouchKey(touch) {
+    return JSON.stringify(
+      this.attributionParams.map((param) => touch[param] || null),
+    );
+  }
+
   /**
    * Get the current page URL as landing page (cleaned)
    */
@@ -233,7 +674,7 @@ class AttributionTracker {
   }
 
   /**
-   * Generate a unique session ID
+   * Generate a unique ID (used for both visitor and session IDs)
    */
   generateSessionId() {
     return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
@@ -243,21 +684,39 @@ class AttributionTracker {
    * Store attribution data in localStorage with error handling
    */
   storeData(data) {
+    if (!this.hasConsent()) {
+      this.log("No analytics consent, attribution data not stored");
+      return false;
+    }
+
     try {
-      // Check localStorage availability
-      if (!this.isStorageAvailable()) {
+      // Check localStorage availability (the cookie can still be written)
+      const localAvailable = this.isStorageAvailable();
+      if (!localAvailable && this.storageType !== "cookie") {
         console.warn("localStorage is not available");
         return false;
       }
 
+      // Drop the oldest later touches until the data fits (first touch is kept)
+      let dataString = JSON.stringify(data);
+      while (dataString.length > 5000 && data.touches?.length > 2) {
+        data.touches.splice(1, 1);
+        dataString = JSON.stringify(data);
+      }
+
       // Check storage quota
-      const dataString = JSON.stringify(data);
       if (dataString.length > 5000) {
         // Reasonable limit for attribution data
         console.warn("Attribution data too large to store");
         return false;
       }
 
+      const cookieStored = this.storageType === "cookie" && this.writeCookie(data);
+
+      if (!localAvailable) {
+        return cookieStored;
+      }
+
       localStorage.setItem(this.storageKey, dataString);
       return true;
     } catch (error) {
@@ -277,11 +736,14 @@ class AttributionTracker {
    */
   getStoredData() {
     try {
-      if (!this.isStorageAvailable()) {
+      // The shared cookie wins over this origin's localStorage copy
+      const cookieValue = this.storageType === "cookie" ? this.readCookie() : null;
+
+      if (!cookieValue && !this.isStorageAvailable()) {
         return null;
       }
 
-      const stored = localStorage.getItem(this.storageKey);
+      const stored = cookieValue || localStorage.getItem(this.storageKey);
       if (!stored) {
         return null;
       }
@@ -318,6 +780,104 @@ class AttributionTracker {
     }
   }
 
+  /**
+   * Validate the configured cookie domain against the current host
+   * @param {string} [domain] - Parent domain (e.g. "greenshield.ca")
+   * @returns {string|null} Domain to scope the cookie to, or null for a host-only cookie
+   */
+  getCookieDomain(domain) {
+    if (!domain) return null;
+
+    const parent = String(domain).trim().toLowerCase().replace(/^\./, "");
+    const host = window.location.hostname.toLowerCase();
+
+    if (host === parent || host.endsWith(`.${parent}`)) {
+      return parent;
+    }
+
+    console.warn(
+      `Cookie domain "${parent}" does not match ${host}, using a host-only cookie`,
+    );
+    return null;
+  }
+
+  /**
+   * Read the attribution cookie
+   * @returns {string|null} Raw JSON string or null if not set
+   */
+  readCookie() {
+    try {
+      const prefix = `${this.storageKey}=`;
+      const cookie = document.cookie
+        .split("; ")
+        .find((entry) => entry.startsWith(prefix));
+
+      return cookie ? decodeURIComponent(cookie.substring(prefix.length)) : null;
+    } catch (error) {
+      this.log("Failed to read attribution cookie:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Write attribution data to the cookie, expiring with the attribution record
+   * Oversized data keeps only the first and last touches; if it still does not
+   * fit, the cookie is skipped and localStorage holds the data
+   * @param {Object} data - Attribution data
+   * @returns {boolean} Whether the cookie was written
+   */
+  writeCookie(data) {
+    const candidates = [data];
+    if (data.touches?.length > 2) {
+      candidates.push({
+        ...data,
+        touches: [data.touches[0], data.touches[data.touches.length - 1]],
+      });
+    }
+
+    const value = candidates
+      .map((candidate) => encodeURIComponent(JSON.stringify(candidate)))
+      .find((encoded) => encoded.length <= AttributionTracker.MAX_COOKIE_BYTES);
+
+    if (!value) {
+      console.warn("Attribution data too large for a cookie, using localStorage only");
+      return false;
+    }
+
+    const expiresAt =
+      data.timestamp + this.expirationDays * 24 * 60 * 60 * 1000;
+    const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+
+    document.cookie = `${this.storageKey}=${value}; ${this.getCookieAttributes(maxAge)}`;
+    return this.readCookie() !== null;
+  }
+
+  /**
+   * Delete the attribution cookie
+   */
+  removeCookie() {
+    document.cookie = `${this.storageKey}=; ${this.getCookieAttributes(0)}`;
+  }
+
+  /**
+   * Build cookie attributes (path, domain, max-age, SameSite, Secure)
+   * @param {number} maxAge - Lifetime in seconds (0 deletes the cookie)
+   * @returns {string} Cookie attribute string
+   */
+  getCookieAttributes(maxAge) {
+    const attributes = ["path=/", `max-age=${maxAge}`, "SameSite=Lax"];
+
+    if (this.cookieDomain) {
+      attributes.push(`domain=${this.cookieDomain}`);
+    }
+
+    if (window.location.protocol === "https:") {
+      attributes.push("Secure");
+    }
+
+    return attributes.join("; ");
+  }
+
   /**
    * Check if stored data has expired
    */
@@ -336,6 +896,10 @@ class AttributionTracker {
    * @returns {Promise<Object>}
    */
   async getAttributionData() {
+    if (!this.hasConsent()) {
+      return null;
+    }
+
     const stored = this.getStoredData();
 
     if (stored && !this.isExpired(stored.timestamp)) {
@@ -350,6 +914,10 @@ class AttributionTracker {
    */
   clearData() {
     try {
+      if (this.storageType === "cookie") {
+        this.removeCookie();
+      }
+
       localStorage.removeItem(this.storageKey);
       this.log("Attribution data cleared");
     } catch (error) {
@@ -385,21 +953,42 @@ class AttributionTracker {
 
   /**
    * Get attribution data formatted for API submission
+   * @param {Object} [options]
+   * @param {string} [options.model="first"] - "first" (first touch), "last"
+   *   (most recent touch) or "all" (first touch plus last_touch and touches)
    * @returns {Promise<Object>}
    */
-  async getDataForSubmission() {
+  async getDataForSubmission({ model = "first" } = {}) {
     const data = await this.getAttributionData();
     if (!data) return null;
 
     // Remove internal fields and sensitive data
     const {
       timestamp,
-      session_id,
+      last_activity,
       user_agent,
       is_first_touch,
+      touches,
+      last_touch,
+      tracked_params,
       ...submissionData
     } = data;
 
+    if (model === "last") {
+      // Last-click: the most recent touch replaces the first-touch marketing fields
+      const lastTouch = last_touch || this.getFirstTouch(data);
+      this.touchFields.forEach((field) => {
+        submissionData[field] = lastTouch[field] || null;
+      });
+    } else if (model === "all") {
+      const history = Array.isArray(touches) ? touches : [this.getFirstTouch(data)];
+      submissionData.last_touch = this.cleanTouch(last_touch || history[history.length - 1]);
+      submissionData.touches = history.map((touch) => this.cleanTouch(touch));
+      submissionData.touch_count = history.length;
+    } else if (model !== "first") {
+      console.warn(`Unknown attribution model "${model}", using first touch`);
+    }
+
     // Clean up null values
     Object.keys(submissionData).forEach((key) => {
       if (submissionData[key] === null || submissionData[key] === "") {
@@ -410,6 +999,17 @@ class AttributionTracker {
     return submissionData;
   }
 
+  /**
+   * Remove empty values from a touch for submission
+   * @param {Object} touch - Touch object
+   * @returns {Object} Touch without null/empty fields
+   */
+  cleanTouch(touch) {
+    return Object.fromEntries(
+      Object.entries(touch).filter(([, value]) => value !== null && value !== ""),
+    );
+  }
+
   /**
    * Update attribution data with additional information
    * Useful for adding data that becomes available after initial load
@@ -450,17 +1050,9 @@ class AttributionTracker {
     const urlParams = new URLSearchParams(window.location.search);
 
     // Check for any attribution-related parameters
-    const attributionParams = [
-      "gclid",
-      "fbclid",
-      "utm_source",
-      "utm_medium",
-      "utm_campaign",
-      "utm_term",
-      "utm_content",
-    ];
-
-    return attributionParams.some((param) => urlParams.has(param));
+    return this.attributionParams.some((param) =>
+      urlParams.has(param),
+    );
   }
 
   /**
@@ -473,6 +1065,73 @@ class AttributionTracker {
   }
 }
 
+// Cookie values above this size (encoded) are not written; browsers cap
+// cookies at about 4KB including the name and attributes
+AttributionTracker.MAX_COOKIE_BYTES = 3800;
+
+// Default ad platform click IDs: Google, Meta, Microsoft Ads, TikTok,
+// LinkedIn and Google's iOS parameters
+AttributionTracker.DEFAULT_CLICK_ID_PARAMS = [
+  "gclid",
+  "fbclid",
+  "msclkid",
+  "ttclid",
+  "li_fat_id",
+  "gbraid",
+  "wbraid",
+];
+
+// UTM parameters (always tracked)
+AttributionTracker.UTM_PARAMS = [
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+];
+
+// Default channel grouping rules, checked in order (first match wins).
+// Override with config.channelRules, e.g.
+// [{ channel: "affiliate", params: ["aff_id"] }, ...AttributionTracker.DEFAULT_CHANNEL_RULES]
+AttributionTracker.DEFAULT_CHANNEL_RULES = [
+  {
+    channel: "paid_search",
+    params: ["gclid", "gbraid", "wbraid", "msclkid"],
+  },
+  {
+    channel: "social",
+    params: ["fbclid", "ttclid", "li_fat_id"],
+    mediums: ["social", "social-network", "social-media", "sm", "paid_social", "paid-social"],
+    sources: ["facebook", "fb", "instagram", "ig", "linkedin", "tiktok", "twitter", "x", "pinterest", "reddit", "youtube"],
+    referrerHosts: [
+      "facebook.com", "instagram.com", "linkedin.com", "lnkd.in", "tiktok.com",
+      "twitter.com", "x.com", "t.co", "pinterest.", "reddit.com", "youtube.com",
+    ],
+  },
+  {
+    channel: "paid_search",
+    mediums: ["cpc", "ppc", "paid_search", "paidsearch", "paid-search", "sem"],
+  },
+  {
+    channel: "email",
+    mediums: ["email", "e-mail", "e_mail", "newsletter"],
+  },
+  {
+    channel: "organic_search",
+    mediums: ["organic"],
+    referrerHosts: ["google.", "bing.com", "yahoo.", "duckduckgo.com", "ecosia.org", "baidu.com", "yandex.", "qwant.com"],
+  },
+  {
+    channel: "internal",
+    internal: true,
+  },
+  {
+    channel: "referral",
+    mediums: ["referral"],
+    referral: true,
+  },
+];
+
 // Export for use in other files
 if (typeof module !== "undefined" && module.exports) {
   module.exports = AttributionTracker;
@@ -491,6 +1150,15 @@ document.addEventListener("DOMContentLoaded", () => {
       debug: script.getAttribute("data-debug") === "true",
       expirationDays:
         parseInt(script.getAttribute("data-expiration-days")) || 90,
+      maxTouches: parseInt(script.getAttribute("data-max-touches")) || 10,
+      sessionTimeoutMinutes:
+        parseInt(script.getAttribute("data-session-timeout")) || 30,
+      requireConsent: script.getAttribute("data-require-consent") !== "false",
+      internalHosts: script.getAttribute("data-internal-hosts") || undefined,
+      storage: script.getAttribute("data-storage") || undefined,
+      cookieDomain: script.getAttribute("data-cookie-domain") || undefined,
+      clickIdParams: script.getAttribute("data-click-id-params") || undefined,
+      customParams: script.getAttribute("data-custom-params") || undefined,
     };
 
     const tracker = new AttributionTracker(config);
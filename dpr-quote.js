@@ -5,42 +5,11 @@
   // Tracks whether the user clicked a "view all plans" element this page load
   let viewAll = false;
 
-  // Fields to track in query parameters
-  const TRACKED_FIELDS = [
-    'CoverageType',
-    'Dependents',
-    'Age',
-    'Province',
-    'CoverageTier',
-    'InsuranceReason',
-    'PreExisting',
-    'PreExistingCoverage'
-  ];
-
-  // Fields to save to localStorage (non-personal, persistent)
-  const LOCAL_STORAGE_FIELDS = [
-    'CoverageType',
-    'Dependents',
-    'Age',
-    'Province',
-    'CoverageTier',
-    'InsuranceReason',
-    'PreExisting',
-    'PreExistingCoverage'
-  ];
-
-  // Fields to save to sessionStorage (personal, session-only)
-  const SESSION_STORAGE_FIELDS = [
-    'FirstName',
-    'LastName',
-    'PhoneNumber',
-    'EmailAddress',
-    'PrivacyPolicy',
-    'MarketingPermission'
-  ];
-
-  const LOCAL_STORAGE_KEY = 'dpr_local_data';
-  const SESSION_STORAGE_KEY = 'dpr_session_data';
+  // Index of the Superform step ([sf-step]) currently shown, -1 before the first is seen
+  let currentStepIndex = -1;
+
+  // Field lists (URL-tracked, localStorage, sessionStorage) come from the
+  // shared field schema in utilities/dpr-core.js via DPR.getFieldNames()
 
   /**
    * Parse current URL query parameters into an object
@@ -63,7 +32,7 @@
     const url = new URL(window.location.href);
 
     // Clear existing tracked params
-    TRACKED_FIELDS.forEach(field => {
+    DPR.getFieldNames({ urlVisible: true }).forEach(field => {
       url.searchParams.delete(field);
     });
 
@@ -77,88 +46,6 @@
     window.history.replaceState({}, '', url.toString());
   }
 
-  /**
-   * Get the value of a form field by name
-   * @param {HTMLFormElement} formEl - The form element
-   * @param {string} fieldName - The name of the field
-   * @returns {string|null} The field value or null
-   */
-  function getFieldValue(formEl, fieldName) {
-    const elements = formEl.elements[fieldName];
-
-    if (!elements) return null;
-
-    // Handle radio buttons (NodeList)
-    if (elements instanceof RadioNodeList) {
-      return elements.value || null;
-    }
-
-    // Handle single element (select, text input, checkbox)
-    if (elements.type === 'checkbox') {
-      return elements.checked ? elements.value || 'true' : null;
-    }
-
-    return elements.value || null;
-  }
-
-  /**
-   * Set the value of a form field by name
-   * @param {HTMLFormElement} formEl - The form element
-   * @param {string} fieldName - The name of the field
-   * @param {string} value - The value to set
-   */
-  function setFieldValue(formEl, fieldName, value) {
-    const elements = formEl.elements[fieldName];
-
-    if (!elements) return;
-
-    // Handle radio buttons (NodeList)
-    if (elements instanceof RadioNodeList) {
-      // First, remove Webflow checked class from all radios in this group
-      for (const radio of elements) {
-        const customInput = radio.parentElement?.querySelector('.w-radio-input');
-        if (customInput) {
-          customInput.classList.remove('w--redirected-checked');
-        }
-      }
-
-      // Then set the matching radio as checked
-      for (const radio of elements) {
-        if (radio.value === value) {
-          radio.checked = true;
-
-          // Add Webflow checked class to the custom radio input
-          const customInput = radio.parentElement?.querySelector('.w-radio-input');
-          if (customInput) {
-            customInput.classList.add('w--redirected-checked');
-          }
-
-          radio.dispatchEvent(new Event('change', { bubbles: true }));
-          break;
-        }
-      }
-      return;
-    }
-
-    // Handle select element
-    if (elements.tagName === 'SELECT') {
-      elements.value = value;
-      elements.dispatchEvent(new Event('change', { bubbles: true }));
-      return;
-    }
-
-    // Handle checkbox
-    if (elements.type === 'checkbox') {
-      elements.checked = value === 'true' || value === elements.value;
-      elements.dispatchEvent(new Event('change', { bubbles: true }));
-      return;
-    }
-
-    // Handle text input
-    elements.value = value;
-    elements.dispatchEvent(new Event('input', { bubbles: true }));
-  }
-
   /**
    * Prefill form fields from URL query parameters
    * @param {HTMLFormElement} formEl - The form element
@@ -166,9 +53,9 @@
   function prefillFormFromParams(formEl) {
     const params = getQueryParams();
 
-    TRACKED_FIELDS.forEach(fieldName => {
+    DPR.getFieldNames({ urlVisible: true }).forEach(fieldName => {
       if (params[fieldName]) {
-        setFieldValue(formEl, fieldName, params[fieldName]);
+        DPR.setFieldValue(formEl, fieldName, params[fieldName]);
       }
     });
   }
@@ -180,8 +67,8 @@
   function syncParamsFromForm(formEl) {
     const params = {};
 
-    TRACKED_FIELDS.forEach(fieldName => {
-      const value = getFieldValue(formEl, fieldName);
+    DPR.getFieldNames({ urlVisible: true }).forEach(fieldName => {
+      const value = DPR.getFieldValue(formEl, fieldName);
       if (value) {
         params[fieldName] = value;
       }
@@ -195,7 +82,7 @@
    * @param {HTMLFormElement} formEl - The form element
    */
   function setupChangeListeners(formEl) {
-    TRACKED_FIELDS.forEach(fieldName => {
+    DPR.getFieldNames({ urlVisible: true }).forEach(fieldName => {
       const elements = formEl.elements[fieldName];
 
       if (!elements) return;
@@ -221,18 +108,14 @@
   function saveToLocalStorage(formEl) {
     const data = {};
 
-    LOCAL_STORAGE_FIELDS.forEach(fieldName => {
-      const value = getFieldValue(formEl, fieldName);
+    DPR.getFieldNames({ storage: 'local' }).forEach(fieldName => {
+      const value = DPR.getFieldValue(formEl, fieldName);
       if (value !== null) {
         data[fieldName] = value;
       }
     });
 
-    try {
-      localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
-    } catch (e) {
-      console.warn('Failed to save to localStorage:', e);
-    }
+    DPR.setLocalStorageData(data);
   }
 
   /**
@@ -242,18 +125,70 @@
   function saveToSessionStorage(formEl) {
     const data = {};
 
-    SESSION_STORAGE_FIELDS.forEach(fieldName => {
-      const value = getFieldValue(formEl, fieldName);
+    DPR.getFieldNames({ storage: 'session' }).forEach(fieldName => {
+      const value = DPR.getFieldValue(formEl, fieldName);
       if (value !== null) {
         data[fieldName] = value;
       }
     });
 
-    try {
-      sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(data));
-    } catch (e) {
-      console.warn('Failed to save to sessionStorage:', e);
-    }
+    DPR.setSessionStorageData(data);
+  }
+
+  /**
+   * Describe a Superform step for lifecycle events
+   * @param {NodeList} steps - All [sf-step] elements in the form
+   * @param {number} index - Step index
+   * @returns {Object} { stepName, stepNumber } (stepName falls back to "step-N")
+   */
+  function describeStep(steps, index) {
+    const stepNumber = index + 1;
+    return {
+      stepName: steps[index].getAttribute('sf-step') || `step-${stepNumber}`,
+      stepNumber
+    };
+  }
+
+  /**
+   * Emit quote-step-completed for the step currently shown (once per step)
+   * @param {NodeList} steps - All [sf-step] elements in the form
+   */
+  function completeCurrentStep(steps) {
+    if (currentStepIndex < 0) return;
+    DPR.emit('quote-step-completed', { source: 'dpr-quote', ...describeStep(steps, currentStepIndex) });
+  }
+
+  /**
+   * Emit quote-step-viewed / quote-step-completed as Superform shows each step
+   * Superform toggles step visibility, so the visible [sf-step] is watched for changes
+   * @param {HTMLFormElement} formEl - The form element
+   */
+  function setupStepTracking(formEl) {
+    const steps = formEl.querySelectorAll('[sf-step]');
+    if (!steps.length) return;
+
+    const checkVisibleStep = () => {
+      const index = Array.from(steps).findIndex(step =>
+        !step.hidden && window.getComputedStyle(step).display !== 'none'
+      );
+
+      if (index === -1 || index === currentStepIndex) return;
+
+      // Moving forward completes the previous step; going back does not
+      if (index > currentStepIndex) {
+        completeCurrentStep(steps);
+      }
+
+      currentStepIndex = index;
+      DPR.emit('quote-step-viewed', { source: 'dpr-quote', ...describeStep(steps, index) });
+    };
+
+    const observer = new MutationObserver(checkVisibleStep);
+    steps.forEach(step => {
+      observer.observe(step, { attributes: true, attributeFilter: ['style', 'class', 'hidden'] });
+    });
+
+    checkVisibleStep();
   }
 
   /**
@@ -278,6 +213,9 @@
         // Save personal data to sessionStorage (session-only)
         saveToSessionStorage(formEl);
 
+        completeCurrentStep(formEl.querySelectorAll('[sf-step]'));
+        DPR.emit('quote-submitted', { source: 'dpr-quote', viewAll });
+
         // Redirect to the configured URL
         if (redirectUrl) {
           const finalUrl = viewAll
@@ -303,34 +241,40 @@
     });
   }
 
-  // Initialize when Superform is ready
-  window.SuperformAPI = window.SuperformAPI || [];
-  window.SuperformAPI.push(({ getForm }) => {
-    const dprQuoteForm = getForm('dprQuote');
+  // Initialize once the DPR core is loaded and Superform is ready
+  window.DPR = window.DPR || [];
+  window.DPR.push(() => {
+    window.SuperformAPI = window.SuperformAPI || [];
+    window.SuperformAPI.push(({ getForm }) => {
+      const dprQuoteForm = getForm('dprQuote');
 
-    if (!dprQuoteForm) {
-      console.warn('dprQuote form not found');
-      return;
-    }
+      if (!dprQuoteForm) {
+        console.warn('dprQuote form not found');
+        return;
+      }
 
-    // Get the actual form element
-    const formEl = dprQuoteForm.form;
+      // Get the actual form element
+      const formEl = dprQuoteForm.form;
 
-    if (!formEl) {
-      console.warn('Form element not found for dprQuote');
-      return;
-    }
+      if (!formEl) {
+        console.warn('Form element not found for dprQuote');
+        return;
+      }
 
-    // Prefill form from URL params on load
-    prefillFormFromParams(formEl);
+      // Prefill form from URL params on load
+      prefillFormFromParams(formEl);
 
-    // Set up real-time sync from form to URL
-    setupChangeListeners(formEl);
+      // Set up real-time sync from form to URL
+      setupChangeListeners(formEl);
 
-    // Set up form submission handler
-    setupFormSubmitHandler(formEl);
+      // Set up form submission handler
+      setupFormSubmitHandler(formEl);
 
-    // Set up view-all redirect listeners
-    setupViewAllListeners();
+      // Report step views/completions (quote-step-* events, mirrored to dataLayer)
+      setupStepTracking(formEl);
+
+      // Set up view-all redirect listeners
+      setupViewAllListeners();
+    });
   });
 })();
@@ -15,176 +15,47 @@
   // Flag to track if form is being submitted (prevents reset on modal close)
   let isFormSubmitting = false;
 
-  // Redirect URL for when required fields are missing
-  const redirectUrl = document.currentScript.getAttribute("data-redirect-url") || "";
-  
-  // Root API URL
-  const rootApiURL = document.currentScript.getAttribute("data-api-url") || "https://qagsd2cins.greenshield.ca";
-
-  // Hospital accommodation text prefix
-  // setup global variable for attribute usage
-  const hospitalAccommodationText = document.currentScript.getAttribute("data-hospital-text") || "Add optional hospital accommodation for $";
-
-  // Apply button text
-  const applyButtonText = document.currentScript.getAttribute("data-apply-button-text") || "Apply Now";
-
-  // Sort by API Recommendation field instead of filter-based logic
-  // const sortByRecommendation = document.currentScript.getAttribute("data-sort-by-recommendation") === "true";
-
-  // ============================================================
-  // STORAGE HELPER FUNCTIONS
-  // ============================================================
-
-  /**
-   * Retrieve non-personal quote data from localStorage
-   * @returns {Object|null} Parsed localStorage data or null if unavailable
-   */
-  function getLocalStorageData() {
-    try {
-      const raw = localStorage.getItem('dpr_local_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read from localStorage:', e);
-      return null;
-    }
-  }
-
-  /**
-   * Retrieve personal contact data from sessionStorage
-   * @returns {Object|null} Parsed sessionStorage data or null if unavailable
-   */
-  function getSessionStorageData() {
-    try {
-      const raw = sessionStorage.getItem('dpr_session_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read from sessionStorage:', e);
-      return null;
-    }
-  }
-
-  /**
-   * Retrieve marketing attribution data from localStorage
-   * @returns {Object} Attribution data or empty object if unavailable
-   */
-  function getAttributionData() {
-    try {
-      const raw = localStorage.getItem('visitor_attribution');
-      if (!raw) return {};
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read attribution data:', e);
-      return {};
-    }
-  }
-
-  // ============================================================
-  // STORAGE UPDATE FUNCTIONS
-  // ============================================================
-
-  /**
-   * Update a single field in localStorage (dpr_local_data)
-   * @param {string} fieldName - The field name to update
-   * @param {*} value - The new value for the field
-   * @returns {boolean} True if update succeeded, false otherwise
-   */
-  function updateLocalStorage(fieldName, value) {
-    try {
-      const data = getLocalStorageData() || {};
-      data[fieldName] = value;
-      localStorage.setItem('dpr_local_data', JSON.stringify(data));
-      return true;
-    } catch (e) {
-      console.warn('Failed to update localStorage:', e);
-      return false;
-    }
-  }
-
-  /**
-   * Update a single field in sessionStorage (dpr_session_data)
-   * @param {string} fieldName - The field name to update
-   * @param {*} value - The new value for the field
-   * @returns {boolean} True if update succeeded, false otherwise
-   */
-  function updateSessionStorage(fieldName, value) {
-    try {
-      const data = getSessionStorageData() || {};
-      data[fieldName] = value;
-      sessionStorage.setItem('dpr_session_data', JSON.stringify(data));
-      return true;
-    } catch (e) {
-      console.warn('Failed to update sessionStorage:', e);
-      return false;
-    }
-  }
+  // Flag to prevent overlapping error bar retries
+  let isRetrying = false;
 
-  // ============================================================
-  // FIELD VALIDATION
-  // ============================================================
+  // Latest quote request - newer loadAndFetchQuotes calls abort older ones
+  let quoteRequestId = 0;
+  let quoteAbortController = null;
 
-  /**
-   * Check if a field value is missing (null, undefined, or empty string)
-   * @param {*} value - The value to check
-   * @returns {boolean} True if value is missing, false otherwise
-   */
-  function isFieldMissing(value) {
-    return value == null || value === '';
-  }
-
-  /**
-   * Validate that all required fields exist in localStorage
-   * Applies conditional logic based on field values
-   * @returns {boolean} True if all required fields exist, false otherwise
-   */
-  function validateRequiredFields() {
-    const localData = getLocalStorageData();
+  // Returned by loadAndFetchQuotes when a newer request replaced this one (caller must not render)
+  const SUPERSEDED = Symbol('superseded');
 
-    if (!localData) {
-      console.warn('No localStorage data found');
-      return false;
-    }
+  // Redirect URL for when required fields are missing
+  const redirectUrl = document.currentScript.getAttribute("data-redirect-url") || "";
+  
+  // Root API URL (unset: the core falls back to DPR.DEFAULT_API_URL)
+  const rootApiURL = document.currentScript.getAttribute("data-api-url");
 
-    // Always required fields (core demographics only)
-    const alwaysRequired = ['CoverageType', 'Age', 'Province'];
+  // This script element - its data-*-text attributes override DPR.t() messages
+  // (data-hospital-text, data-apply-button-text, data-loading-text, ...)
+  const currentScript = document.currentScript;
 
-    for (const field of alwaysRequired) {
-      if (isFieldMissing(localData[field])) {
-        console.warn(`Required field missing: ${field}`);
-        return false;
-      }
-    }
+  // Price display (DPR.formatPrice): rounding "round"|"floor"|"ceil", cents "never"|"always"|"auto",
+  // symbol "none"|"locale"|"before"|"after"
+  const priceFormat = {
+    rounding: document.currentScript.getAttribute("data-price-rounding") || "round",
+    cents: document.currentScript.getAttribute("data-price-cents") || "never",
+    symbol: document.currentScript.getAttribute("data-price-symbol") || "none"
+  };
 
-    // Conditional: Dependents required unless CoverageType is 0 or 3
-    if (localData.CoverageType != 0 && localData.CoverageType != 3) {
-      if (isFieldMissing(localData.Dependents)) {
-        console.warn('Required field missing: Dependents (CoverageType is not 0 or 3)');
-        return false;
-      }
-    }
+  // Attribution fields appended to the application URL (comma-separated, "none" disables;
+  // defaults to DPR.DEFAULT_HANDOFF_PARAMS)
+  const handoffParams = document.currentScript.getAttribute("data-handoff-params");
 
-    // CoverageTier, InsuranceReason, PreExisting, PreExistingCoverage are NOT required here.
-    // They are collected via the filter form (data-form-update) after initial load.
+  // Seconds a cached quote response is reused when the payload is unchanged (0 disables)
+  const cacheTtl = parseInt(document.currentScript.getAttribute("data-cache-ttl"), 10);
 
-    console.log('All required fields validated successfully');
-    return true;
-  }
+  // Quote request timeout (ms) and retries for 5xx/network failures (core defaults when unset)
+  const requestTimeout = parseInt(document.currentScript.getAttribute("data-request-timeout"), 10);
+  const retryCount = parseInt(document.currentScript.getAttribute("data-retry-count"), 10);
 
-  /**
-   * Check whether all four filter fields are populated
-   * Used to determine plan display mode and enable the filter update button
-   * @returns {boolean}
-   */
-  function hasFilterFields() {
-    const d = getLocalStorageData();
-    if (!d) return false;
-    if (isFieldMissing(d.InsuranceReason)) return false;
-    if (isFieldMissing(d.CoverageTier)) return false;
-    if (d.InsuranceReason != 2 && isFieldMissing(d.PreExisting)) return false;
-    if (d.InsuranceReason != 2 && d.PreExisting !== 'no' && isFieldMissing(d.PreExistingCoverage)) return false;
-    return true;
-  }
+  // Sort by API Recommendation field instead of filter-based logic
+  // const sortByRecommendation = document.currentScript.getAttribute("data-sort-by-recommendation") === "true";
 
   // ============================================================
   // URL PARAMETER FUNCTIONS
@@ -231,14 +102,14 @@
    * Excludes sessionStorage-only fields
    */
   function syncAllParamsFromStorage() {
-    const localData = getLocalStorageData();
+    const localData = DPR.getLocalStorageData();
     if (!localData) return;
 
     const params = {};
 
     Object.entries(localData).forEach(([key, value]) => {
-      // Exclude sessionStorage-only fields
-      if (!sessionOnlyFields.has(key) && value !== null && value !== undefined && value !== '') {
+      // Exclude sessionStorage-only fields and fields the schema keeps out of the URL
+      if (!sessionOnlyFields.has(key) && DPR.isUrlVisible(key) && value !== null && value !== undefined && value !== '') {
         params[key] = value;
       }
     });
@@ -246,108 +117,6 @@
     updateQueryParams(params);
   }
 
-  // ============================================================
-  // FORM FIELD VALUE MANAGEMENT
-  // ============================================================
-
-  /**
-   * Get current value from a form field
-   * @param {HTMLFormElement} formEl - The form element
-   * @param {string} fieldName - The name of the field
-   * @returns {string|null} The field value or null
-   */
-  function getFieldValue(formEl, fieldName) {
-    const elements = formEl.elements[fieldName];
-
-    if (!elements) return null;
-
-    // Handle radio buttons (NodeList)
-    if (elements instanceof RadioNodeList) {
-      return elements.value || null;
-    }
-
-    // Handle single element (select, text input, checkbox)
-    if (elements.type === 'checkbox') {
-      return elements.checked ? elements.value || 'true' : null;
-    }
-
-    return elements.value || null;
-  }
-
-  /**
-   * Set value on a form field
-   * @param {HTMLFormElement} formEl - The form element
-   * @param {string} fieldName - The name of the field
-   * @param {string} value - The value to set
-   */
-  function setFieldValue(formEl, fieldName, value) {
-    const elements = formEl.elements[fieldName];
-
-    if (!elements) return;
-
-    // Handle radio buttons (NodeList)
-    if (elements instanceof RadioNodeList) {
-      // First, remove Webflow checked class from all radios in this group
-      for (const radio of elements) {
-        const customInput = radio.parentElement?.querySelector('.w-radio-input');
-        if (customInput) {
-          customInput.classList.remove('w--redirected-checked');
-        }
-      }
-
-      // Then set the matching radio as checked
-      for (const radio of elements) {
-        if (radio.value === value) {
-          radio.checked = true;
-
-          // Add Webflow checked class to the custom radio input
-          const customInput = radio.parentElement?.querySelector('.w-radio-input');
-          if (customInput) {
-            customInput.classList.add('w--redirected-checked');
-          }
-
-          radio.dispatchEvent(new Event('change', { bubbles: true }));
-          break;
-        }
-      }
-      return;
-    }
-
-    // Handle select element
-    if (elements.tagName === 'SELECT') {
-      elements.value = value;
-      elements.dispatchEvent(new Event('change', { bubbles: true }));
-      return;
-    }
-
-    // Handle checkbox
-    if (elements.type === 'checkbox') {
-      elements.checked = value === 'true' || value === elements.value;
-      elements.dispatchEvent(new Event('change', { bubbles: true }));
-      return;
-    }
-
-    // Handle text input
-    elements.value = value;
-    elements.dispatchEvent(new Event('input', { bubbles: true }));
-  }
-
-  /**
-   * Update ALL form fields with the same name across the page
-   * @param {string} fieldName - The field name to sync
-   * @param {*} value - The value to set
-   */
-  function syncAllFieldsWithName(fieldName, value) {
-    const forms = document.querySelectorAll('form');
-
-    forms.forEach(form => {
-      const field = form.elements[fieldName];
-      if (field) {
-        setFieldValue(form, fieldName, value);
-      }
-    });
-  }
-
   // ============================================================
   // INITIALIZATION & SYNCING
   // ============================================================
@@ -359,8 +128,11 @@
   function prefillAllForms() {
     // Step 1: Get all data sources
     const urlParams = getQueryParams();
-    const localData = getLocalStorageData() || {};
-    const sessionData = getSessionStorageData() || {};
+    const localData = DPR.getLocalStorageData() || {};
+    const sessionData = DPR.getSessionStorageData() || {};
+
+    // Personal fields always route to sessionStorage, per the field schema
+    DPR.getFieldNames({ storage: 'session' }).forEach(fieldName => sessionOnlyFields.add(fieldName));
 
     // Step 2: Get all unique field names from all forms
     const forms = document.querySelectorAll('form');
@@ -379,10 +151,10 @@
       let valueToUse = null;
       let sourceStorage = null; // 'local' or 'session'
 
-      // Priority 1: URL params (update localStorage)
-      if (urlParams[fieldName]) {
+      // Priority 1: URL params (update localStorage) - never for session-only fields
+      if (urlParams[fieldName] && !sessionOnlyFields.has(fieldName)) {
         valueToUse = urlParams[fieldName];
-        updateLocalStorage(fieldName, valueToUse);
+        DPR.updateLocalStorage(fieldName, valueToUse);
         sourceStorage = 'local';
       }
       // Priority 2: localStorage (update URL params)
@@ -403,7 +175,7 @@
       }
 
       // Populate all forms with this field
-      syncAllFieldsWithName(fieldName, valueToUse);
+      DPR.syncAllFieldsWithName(fieldName, valueToUse);
     });
 
     // Step 4: Update URL params from localStorage (excluding session-only fields)
@@ -422,21 +194,27 @@
     // Prevent infinite loop from programmatic field updates
     if (isSyncing) return;
 
+    // Quote modal edits to core fields are committed on "Get Quote" (saveModalFieldsToStorage),
+    // so other tabs never see values the user may still cancel
+    if (formEl.matches('[data-form-trigger="quote-form"]') && DPR.getFieldNames({ group: 'core' }).includes(fieldName)) {
+      return;
+    }
+
     isSyncing = true;
 
     try {
       // Get new value
-      const value = getFieldValue(formEl, fieldName);
+      const value = DPR.getFieldValue(formEl, fieldName);
 
       // Update appropriate storage
       if (sessionOnlyFields.has(fieldName)) {
-        updateSessionStorage(fieldName, value);
+        DPR.updateSessionStorage(fieldName, value);
       } else {
-        updateLocalStorage(fieldName, value);
+        DPR.updateLocalStorage(fieldName, value);
       }
 
       // Sync all other fields with same name
-      syncAllFieldsWithName(fieldName, value);
+      DPR.syncAllFieldsWithName(fieldName, value);
 
       // Update URL params (except sessionStorage-only fields)
       if (!sessionOnlyFields.has(fieldName)) {
@@ -444,7 +222,7 @@
       }
 
       // Trigger sorting/filtering update if filter field changed
-      const filterFields = ['InsuranceReason', 'CoverageTier', 'PreExisting', 'PreExistingCoverage', 'plans'];
+      const filterFields = [...DPR.getFieldNames({ group: 'filter' }), 'plans'];
       if (filterFields.includes(fieldName)) {
         applyPlanVisibilityAndOrder();
       }
@@ -495,10 +273,10 @@
   function saveModalFieldValues(formEl) {
     savedModalValues = {};
 
-    const fieldsToSave = ['CoverageType', 'Dependents', 'Age', 'Province'];
+    const fieldsToSave = DPR.getFieldNames({ group: 'core' });
 
     fieldsToSave.forEach(fieldName => {
-      const value = getFieldValue(formEl, fieldName);
+      const value = DPR.getFieldValue(formEl, fieldName);
       savedModalValues[fieldName] = value;
     });
 
@@ -507,6 +285,7 @@
 
   /**
    * Restore saved values to tracked fields when cancel is clicked
+   * (storage never held the edits, so only the modal form is reset)
    * @param {HTMLFormElement} formEl - The form element
    */
   function resetModalFieldValues(formEl) {
@@ -523,23 +302,42 @@
     try {
       Object.entries(savedModalValues).forEach(([fieldName, value]) => {
         // Restore form field value
-        setFieldValue(formEl, fieldName, value);
+        DPR.setFieldValue(formEl, fieldName, value);
+      });
+    } finally {
+      isSyncing = false;
+    }
+
+    // Clear saved values
+    savedModalValues = null;
+  }
 
-        // Update localStorage
-        updateLocalStorage(fieldName, value);
+  /**
+   * Commit the quote modal's core fields to localStorage in one write, then sync
+   * other forms and URL params (called on "Get Quote" only)
+   * @param {HTMLFormElement} formEl - The quote form
+   */
+  function saveModalFieldsToStorage(formEl) {
+    const changes = {};
+
+    DPR.getFieldNames({ group: 'core' }).forEach(fieldName => {
+      if (!formEl.elements[fieldName]) return;
+      changes[fieldName] = DPR.getFieldValue(formEl, fieldName);
+    });
+
+    DPR.setLocalStorageData({ ...(DPR.getLocalStorageData() || {}), ...changes });
 
-        // Sync all fields with same name
-        syncAllFieldsWithName(fieldName, value);
+    isSyncing = true;
+
+    try {
+      Object.entries(changes).forEach(([fieldName, value]) => {
+        DPR.syncAllFieldsWithName(fieldName, value);
       });
 
-      // Update URL params
       syncAllParamsFromStorage();
     } finally {
       isSyncing = false;
     }
-
-    // Clear saved values
-    savedModalValues = null;
   }
 
   /**
@@ -615,146 +413,6 @@
     modal.addEventListener('close', handleQuoteModalClose);
   }
 
-  // ============================================================
-  // PAYLOAD BUILDING
-  // ============================================================
-
-  /**
-   * Build API payload from stored data
-   * Merges data from localStorage, sessionStorage, and attribution tracker
-   * @returns {Object|null} Complete API payload or null if required data is missing
-   */
-  function buildPayload() {
-    // Retrieve data from all storage sources
-    const localData = getLocalStorageData();
-    const attributionData = getAttributionData();
-
-    // Validate required data exists
-    if (!localData) {
-      console.error('Missing required quote data in localStorage');
-      return null;
-    }
-
-    // SessionStorage is optional - personal fields will be null if missing
-    const sessionData = getSessionStorageData() || {};
-
-    // Build the payload with proper type conversions
-    const payload = {
-      // Core quote fields (MUST convert strings to numbers)
-      CoverageType: Number(localData.CoverageType),
-      Province: Number(localData.Province),
-      Age: Number(localData.Age),
-      Dependents: Number(localData.Dependents || 0),
-      CoverageTier: localData.CoverageTier,
-      InsuranceReason: localData.InsuranceReason ? Number(localData.InsuranceReason) : null,
-
-      // Coverage options (new fields in DPR system)
-      PreExisting: localData.PreExisting || null,
-      PreExistingCoverage: localData.PreExistingCoverage || null,
-
-      // Contact information
-      EmailAddress: sessionData.EmailAddress || null,
-      PhoneNumber: sessionData.PhoneNumber || null,
-      MarketingPermission: sessionData.MarketingPermission === 'true' || sessionData.MarketingPermission === true || sessionData.MarketingPermission === 'on',
-
-      // Personal information
-      FirstName: sessionData.FirstName || null,
-      LastName: sessionData.LastName || null,
-
-      // Attribution tracking data (merge all attribution fields)
-      gclid: attributionData.gclid || null,
-      fbclid: attributionData.fbclid || null,
-      utm_source: attributionData.utm_source || null,
-      utm_medium: attributionData.utm_medium || null,
-      utm_campaign: attributionData.utm_campaign || null,
-      utm_term: attributionData.utm_term || null,
-      utm_content: attributionData.utm_content || null,
-      referrer: attributionData.referrer || null,
-      ga_client_id: attributionData.ga_client_id || null,
-      landing_page: attributionData.landing_page || null,
-      user_agent: attributionData.user_agent || null,
-      language: attributionData.language || null,
-
-      // ===================================================================
-      // LEGACY FIELDS - Kept for API compatibility, separated for review
-      // These fields are from the old quote system and may not be used
-      // in the new DPR flow but are included for backward compatibility
-      // ===================================================================
-      LeftGroupHealthPlan: null,
-      Prescription: null,
-      CoverOption: null,
-      PhoneExtension: null
-    };
-
-    return payload;
-  }
-
-  // ============================================================
-  // API FUNCTIONS
-  // ============================================================
-
-  /**
-   * Call the GreenShield quote API
-   * @param {Object} payload - Complete API payload from buildPayload()
-   * @returns {Promise<Object>} Full API response with QuoteSetId and PlanQuotes
-   * @throws {Error} If API request fails or returns non-OK status
-   */
-  async function fetchQuotes(payload) {
-    try {
-      // const res = await fetch('https://qagsd2cins.greenshield.ca/quoteset', {
-      const res = await fetch(`${rootApiURL}/quoteset`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!res.ok) {
-        const errorText = await res.text();
-        console.error('API Error Response:', errorText);
-        throw new Error(`Quote API failed with status: ${res.status}`);
-      }
-
-      const json = await res.json();
-
-      // Validate response structure
-      if (!json.QuoteSetId || !json.PlanQuotes) {
-        console.warn('API response missing expected fields:', json);
-      }
-
-      return json;
-    } catch (error) {
-      console.error('Fetch error:', error);
-      throw error; // Re-throw to allow caller to handle
-    }
-  }
-
-  // ============================================================
-  // RESULTS STORAGE
-  // ============================================================
-
-  /**
-   * Save API results to sessionStorage with original form data
-   * @param {Object} apiResponse - Full API response from fetchQuotes()
-   * @param {Object} localData - Copy of dpr_local_data used for the request
-   * @param {Object} sessionData - Copy of dpr_session_data used for the request
-   * @returns {boolean} True if save succeeded, false otherwise
-   */
-  function saveResultsData(apiResponse, localData, sessionData) {
-    try {
-      const resultsData = {
-        results: apiResponse,
-        dpr_local_storage: localData,
-        dpr_session_storage: sessionData
-      };
-
-      sessionStorage.setItem('dpr_results_data', JSON.stringify(resultsData));
-      return true;
-    } catch (e) {
-      console.error('Failed to save results to sessionStorage:', e);
-      return false;
-    }
-  }
-
   // ============================================================
   // ORCHESTRATION
   // ============================================================
@@ -762,50 +420,84 @@
   /**
    * Main orchestration function - loads data, builds payload, fetches quotes
    * This is the main entry point that should be called from initialize()
-   * @returns {Promise<Object|null>} API response or null if failed
+   * Starting a new call aborts any in-flight one so only the latest form state renders
+   * @returns {Promise<Object|null|symbol>} API response, null if failed, or SUPERSEDED
    */
   async function loadAndFetchQuotes() {
+    // Cancel the previous request and claim the latest slot
+    if (quoteAbortController) quoteAbortController.abort();
+    const controller = new AbortController();
+    const requestId = ++quoteRequestId;
+    quoteAbortController = controller;
+
     try {
       // Step 1: Retrieve stored data
-      const localData = getLocalStorageData();
+      const localData = DPR.getLocalStorageData();
 
       if (!localData) {
         console.error('Missing required quote data in localStorage. Cannot fetch quotes.');
+        DPR.emit('quote-failed', { source: 'dpr-results-2', error: 'Missing quote data', status: null });
         return null;
       }
 
       // SessionStorage is optional - log if missing but continue
-      const sessionData = getSessionStorageData();
+      const sessionData = DPR.getSessionStorageData();
       if (!sessionData) {
         console.log('No sessionStorage data found - personal fields will be null in API request');
       }
 
       // Step 2: Build payload
-      const payload = buildPayload();
+      const payload = DPR.buildPayload();
 
       if (!payload) {
         console.error('Failed to build API payload');
         return null;
       }
 
+      // Step 3: Reuse cached response if the payload hasn't changed
+      const cachedResponse = DPR.getCachedResults(payload, cacheTtl);
+
+      if (cachedResponse) {
+        console.log('Using cached quote response:', cachedResponse);
+        DPR.emit('quote-loaded', { source: 'dpr-results-2', results: cachedResponse, cached: true });
+        return cachedResponse;
+      }
+
       console.log('Fetching quotes with payload:', payload);
+      DPR.emit('quote-requested', { source: 'dpr-results-2', ...DPR.describePayload(payload) });
 
-      // Step 3: Call API
-      const apiResponse = await fetchQuotes(payload);
+      // Step 4: Call API
+      const apiResponse = await DPR.fetchQuotes(rootApiURL, payload, {
+        timeout: requestTimeout,
+        retries: retryCount,
+        signal: controller.signal
+      });
+
+      // Ignore responses that landed after a newer request started
+      if (requestId !== quoteRequestId) {
+        console.log('Ignoring superseded quote response');
+        return SUPERSEDED;
+      }
 
       console.log('Quote API response:', apiResponse);
 
-      // Step 4: Save results
-      const saved = saveResultsData(apiResponse, localData, sessionData);
+      // Step 5: Save results (payload hash enables caching)
+      const saved = DPR.saveResultsData(apiResponse, localData, sessionData, payload);
 
       if (!saved) {
         console.warn('API call succeeded but failed to save results to storage');
       }
 
+      DPR.emit('quote-loaded', { source: 'dpr-results-2', results: apiResponse, cached: false });
       return apiResponse;
     } catch (error) {
+      if (requestId !== quoteRequestId) return SUPERSEDED;
+
       console.error('Error in loadAndFetchQuotes:', error);
+      DPR.emit('quote-failed', { source: 'dpr-results-2', error: error.message, status: error.status ?? null });
       return null;
+    } finally {
+      if (quoteAbortController === controller) quoteAbortController = null;
     }
   }
 
@@ -872,6 +564,79 @@
     console.log('Error bar hidden');
   }
 
+  /**
+   * Wire the error bar "Try again" action to re-run the page load API call
+   * Uses [dpr-results="error-retry"] inside the error bar, adding a button if none exists
+   */
+  function setupErrorBarRetry() {
+    const errorBar = document.querySelector('[dpr-results="error-bar"]');
+
+    if (!errorBar) return;
+
+    let retryTriggers = errorBar.querySelectorAll('[dpr-results="error-retry"]');
+
+    if (retryTriggers.length === 0) {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.setAttribute('dpr-results', 'error-retry');
+      retryBtn.textContent = DPR.t('retry', currentScript);
+      errorBar.appendChild(retryBtn);
+      retryTriggers = [retryBtn];
+    }
+
+    retryTriggers.forEach(trigger => {
+      trigger.addEventListener('click', async (e) => {
+        e.preventDefault();
+
+        if (isRetrying) return;
+        isRetrying = true;
+
+        console.log('Retrying quote request from error bar...');
+        hideErrorBar();
+
+        try {
+          await handlePageLoadApiCall();
+        } finally {
+          isRetrying = false;
+        }
+      });
+    });
+  }
+
+  /**
+   * Follow quote input changes made in another tab (see DPR.setupCrossTabSync):
+   * refill forms and URL params, then re-quote for core or filter field changes (as
+   * the modal and filter form would) or re-sort for a plans change
+   */
+  function setupCrossTabSync() {
+    DPR.setupCrossTabSync({
+      requoteFields: [...DPR.getFieldNames({ group: 'core' }), ...DPR.getFieldNames({ group: 'filter' })],
+      onSync: syncFieldsFromStorage,
+      onRequote: () => handlePageLoadApiCall(),
+      onResort: () => applyPlanVisibilityAndOrder()
+    });
+  }
+
+  /**
+   * Refill forms and URL params with quote inputs changed in another tab
+   * @param {string[]} changedFields - Changed field names
+   * @param {Object} localData - Current dpr_local_data
+   */
+  function syncFieldsFromStorage(changedFields, localData) {
+    // Programmatic field updates must not be written back to storage
+    isSyncing = true;
+
+    try {
+      changedFields.forEach(fieldName => {
+        DPR.syncAllFieldsWithName(fieldName, localData[fieldName] ?? '');
+      });
+
+      syncAllParamsFromStorage();
+    } finally {
+      isSyncing = false;
+    }
+  }
+
   /**
    * Hide all dynamic content blocks (prices, apply buttons, etc.)
    */
@@ -906,7 +671,7 @@
     console.log('Starting page load API call...');
 
     // Step 1: Validate required fields
-    if (!validateRequiredFields()) {
+    if (!DPR.validateRequiredFields()) {
       console.error('Missing required fields - redirecting to quote form');
       if (redirectUrl) {
         window.location.href = redirectUrl;
@@ -920,8 +685,13 @@
     showSkeletonLoaders();
 
     // Step 3: Call API
+    let result = null;
+
     try {
-      const result = await loadAndFetchQuotes();
+      result = await loadAndFetchQuotes();
+
+      // A newer request owns the page now - leave rendering to it
+      if (result === SUPERSEDED) return;
 
       // Step 4: Handle result
       if (result) {
@@ -930,7 +700,7 @@
         showDynamicBlocks();
 
         // Populate chart with results
-        const resultsData = getResultsData();
+        const resultsData = DPR.getResultsData();
         if (resultsData) {
           fillChart(resultsData);
         }
@@ -950,11 +720,12 @@
       // Apply filters even without API data
       applyPlanVisibilityAndOrder();
     } finally {
-      // Step 5: Always hide skeleton loaders
-      hideSkeletonLoaders();
-
+      // Step 5: Hide skeleton loaders (a newer request hides its own)
       // Step 6: Update filter/toggle block visibility
-      updatePlanBlockVisibility();
+      if (result !== SUPERSEDED) {
+        hideSkeletonLoaders();
+        updatePlanBlockVisibility();
+      }
     }
   }
 
@@ -965,31 +736,42 @@
   async function handleModalButtonClick() {
     const button = document.querySelector('[data-form-trigger="get-quote"]');
     const modal = document.querySelector('[data-form-trigger="quote-modal"]');
+    const form = document.querySelector('[data-form-trigger="quote-form"]');
 
     if (!button) {
       console.warn('Get quote button not found');
       return;
     }
 
+    // Commit the edited inputs before quoting from storage
+    if (form) {
+      saveModalFieldsToStorage(form);
+      savedModalValues = null;
+    }
+
     // Step 1: Save original button state
     const originalText = button.textContent;
 
     // Step 2: Update button to loading state
-    button.textContent = 'Loading...';
+    button.textContent = DPR.t('loading', currentScript);
     button.disabled = true;
 
     // Step 3: Call API
+    let result = null;
+
     try {
-      const result = await loadAndFetchQuotes();
+      result = await loadAndFetchQuotes();
 
-      // Step 4: Handle result
-      if (result) {
+      // Step 4: Handle result (a newer request renders instead of a superseded one)
+      if (result === SUPERSEDED) {
+        console.log('Modal API call superseded by a newer request');
+      } else if (result) {
         console.log('Modal API call succeeded');
         hideErrorBar();
         showDynamicBlocks();
 
         // Populate chart with results
-        const resultsData = getResultsData();
+        const resultsData = DPR.getResultsData();
         if (resultsData) {
           fillChart(resultsData);
         }
@@ -1019,9 +801,13 @@
         modal.close();
       }
     } finally {
-      // Step 5: Restore button state
+      // Step 5: Restore button state and clear skeletons left by a superseded page load
       button.textContent = originalText;
       button.disabled = false;
+
+      if (result !== SUPERSEDED) {
+        hideSkeletonLoaders();
+      }
     }
   }
 
@@ -1123,7 +909,7 @@
    * @returns {string[]} Array of plan names in priority order, or empty array if no match
    */
   function getTopPlansFromApiScenarios(filterState) {
-    const resultsData = getResultsData();
+    const resultsData = DPR.getResultsData();
     const scenarios = resultsData?.results?.FilterScenarios?.scenarios;
 
     if (!scenarios || !Array.isArray(scenarios)) return [];
@@ -1163,7 +949,7 @@
    * @returns {Object|null} Current filter values or null if unavailable
    */
   function getCurrentFilterState() {
-    const localData = getLocalStorageData();
+    const localData = DPR.getLocalStorageData();
 
     if (!localData) {
       console.warn('No localStorage data available for filtering');
@@ -1196,7 +982,7 @@
 
     if (useRecommendation) {
       // Sort from initial API call using Recommendation field
-      const resultsData = getResultsData();
+      const resultsData = DPR.getResultsData();
       const planQuotes = resultsData?.results?.PlanQuotes || [];
       topThreePlans = getTopPlansFromRecommendation(planQuotes);
     } else {
@@ -1206,8 +992,8 @@
 
     // Step 3: Get current 'plans' field value (suggested vs all)
     // Default to 'all' if filter fields are not yet populated, otherwise 'suggested'
-    const localData = getLocalStorageData();
-    const plansMode = localData?.plans || (hasFilterFields() ? 'suggested' : 'all');
+    const localData = DPR.getLocalStorageData();
+    const plansMode = localData?.plans || (DPR.hasFilterFields() ? 'suggested' : 'all');
 
     // If topThreePlans is unavailable (filter fields not yet set), handle by mode
     if (!topThreePlans || topThreePlans.length === 0) {
@@ -1286,6 +1072,7 @@
     otherElements.forEach(el => planParent.appendChild(el));
 
     console.log(`Applied visibility mode: ${plansMode}, reordered ${planArray.length} plans`);
+    DPR.emit('plans-reordered', { source: 'dpr-results-2', topPlans: topThreePlans, mode: plansMode });
   }
 
   // ============================================================
@@ -1316,7 +1103,7 @@
         if (btn) {
           btn.style.display = 'none';
           btn.disabled = false;
-          btn.textContent = applyButtonText;
+          btn.textContent = DPR.t('applyButton', currentScript);
           delete btn.dataset.confirmation;
         }
 
@@ -1342,86 +1129,6 @@
     console.log(`Reset ${planItems.length} plan items`);
   }
 
-  /**
-   * Fetch application URL from API using confirmation number
-   * @param {string} confirmationNumber - The quote confirmation number
-   * @returns {Promise<string>} Application URL
-   */
-  async function getApplicationUrl(confirmationNumber) {
-    // Build base URL
-    let apiUrl = `${rootApiURL}/applicationUrl/${confirmationNumber}`;
-
-    // Append lang parameter if page is French Canadian
-    const htmlLang = document.documentElement.lang;
-    if (htmlLang && htmlLang.toLowerCase() === 'fr-ca') {
-      apiUrl += '?lang=fr';
-    }
-
-    const res = await fetch(apiUrl);
-
-    if (!res.ok) {
-      throw new Error(`Network error: ${res.status}`);
-    }
-
-    const raw = await res.text();
-    let url;
-
-    try {
-      url = JSON.parse(raw).ApplicationUrl;
-    } catch {
-      url = raw;
-    }
-
-    if (!url || !url.startsWith('http')) {
-      throw new Error('Invalid URL received');
-    }
-
-    return url;
-  }
-
-  /**
-   * Decorate URLs with GTM auto-linker for cross-domain tracking
-   * @param {string} url - The URL to decorate
-   * @returns {string} Decorated URL or original if decoration fails
-   */
-  function decorateWithGtmAutoLinker(url) {
-    try {
-      if (typeof gtag === 'undefined') {
-        return url;
-      }
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.style.position = 'absolute';
-      a.style.left = '-9999px';
-      document.body.appendChild(a);
-
-      a.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-
-      const decorated = a.href;
-      a.remove();
-      return decorated || url;
-    } catch (err) {
-      console.warn('Auto-linker decoration failed, using raw URL', err);
-      return url;
-    }
-  }
-
-  /**
-   * Retrieve results data from sessionStorage
-   * @returns {Object|null} Parsed results data or null
-   */
-  function getResultsData() {
-    try {
-      const raw = sessionStorage.getItem('dpr_results_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read results data:', e);
-      return null;
-    }
-  }
-
   /**
    * Show/hide plan buttons based on Province value
    * @param {HTMLElement} planItem - The plan container element
@@ -1450,7 +1157,7 @@
     resetChart();
 
     // Get Province value to determine button visibility
-    const localData = getLocalStorageData();
+    const localData = DPR.getLocalStorageData();
     const province = localData?.Province;
     const isQuebec = province == 10; // Use == to handle string/number comparison
 
@@ -1481,8 +1188,7 @@
         // Populate price
         const priceEl = block.querySelector('[dpr-results-price="price"]');
         if (priceEl) {
-          const price = Math.round(parseFloat(quote.Premium));
-          priceEl.textContent = price;
+          priceEl.textContent = DPR.formatPrice(quote.Premium, priceFormat);
           priceEl.style.display = 'block';
         }
 
@@ -1504,10 +1210,7 @@
           // Populate text line
           const textLine = checkboxWrapper.querySelector('[dpr-quote-hospital="text-line"]');
           if (textLine) {
-            // Display as whole number only (no cents)
-            // Note: If cents are needed in future, use: price % 1 === 0 ? price.toFixed(0) : price.toFixed(2)
-            const price = Math.round(parseFloat(hospitalOption.OptionPremium));
-            textLine.textContent = `${hospitalAccommodationText}${price}`;
+            textLine.textContent = DPR.formatPriceText(DPR.t('hospitalText', currentScript), hospitalOption.OptionPremium, priceFormat);
           }
 
           // Wire up checkbox handler
@@ -1545,13 +1248,20 @@
           newBtn.addEventListener('click', async (e) => {
             e.preventDefault();
 
+            DPR.emit('apply-clicked', {
+              source: 'dpr-results-2',
+              planName: quote.PlanName,
+              premium: quote.Premium,
+              confirmationNumber: newBtn.dataset.confirmation
+            });
+
             const originalText = newBtn.textContent;
             newBtn.disabled = true;
-            newBtn.textContent = 'Loading...';
+            newBtn.textContent = DPR.t('loading', currentScript);
 
             try {
-              const url = await getApplicationUrl(newBtn.dataset.confirmation);
-              const finalUrl = decorateWithGtmAutoLinker(url);
+              const url = await DPR.getApplicationUrl(rootApiURL, newBtn.dataset.confirmation);
+              const finalUrl = DPR.decorateWithGtmAutoLinker(DPR.appendAttributionToUrl(url, handoffParams));
 
               // Short delay for GA hit to flush
               setTimeout(() => {
@@ -1559,7 +1269,8 @@
               }, 200);
             } catch (err) {
               console.error('Error getting application URL:', err);
-              newBtn.textContent = 'Error – Try Again';
+              DPR.emit('apply-failed', { source: 'dpr-results-2', planName: quote.PlanName, error: err.message });
+              newBtn.textContent = DPR.t('applyError', currentScript);
               newBtn.disabled = false;
             }
           });
@@ -1607,11 +1318,18 @@
       newTotal += parseFloat(hospitalOption.OptionPremium);
     }
 
-    // Update price display (whole numbers only, no cents)
-    const displayPrice = Math.round(newTotal);
+    // Update price display (formatted per data-price-* attributes)
+    const displayPrice = DPR.formatPrice(newTotal, priceFormat);
     priceEl.textContent = displayPrice;
 
-    console.log(`Hospital accommodation ${isChecked ? 'added' : 'removed'} for plan. New total: $${displayPrice}`);
+    DPR.emit('hospital-toggled', {
+      source: 'dpr-results-2',
+      planName: planItem.getAttribute('dpr-results-plan'),
+      checked: isChecked,
+      premium: newTotal
+    });
+
+    console.log(`Hospital accommodation ${isChecked ? 'added' : 'removed'} for plan. New total: ${displayPrice}`);
   }
 
   // ============================================================
@@ -1629,7 +1347,7 @@
 
     if (!filterQuestionsEl && !viewToggleEl) return;
 
-    const filtersSet = hasFilterFields();
+    const filtersSet = DPR.hasFilterFields();
 
     if (filterQuestionsEl) filterQuestionsEl.style.display = filtersSet ? 'none' : '';
     if (viewToggleEl) viewToggleEl.style.display = filtersSet ? '' : 'none';
@@ -1647,7 +1365,7 @@
     if (!buttons.length) return;
 
     function updateButtonState() {
-      const enabled = hasFilterFields();
+      const enabled = DPR.hasFilterFields();
       buttons.forEach(btn => {
         btn.disabled = !enabled;
         btn.classList.toggle('is-disabled', !enabled);
@@ -1658,8 +1376,7 @@
     updateButtonState();
 
     // Re-evaluate button state whenever a filter field changes
-    const filterFieldNames = ['CoverageTier', 'InsuranceReason', 'PreExisting', 'PreExistingCoverage'];
-    filterFieldNames.forEach(name => {
+    DPR.getFieldNames({ group: 'filter' }).forEach(name => {
       document.querySelectorAll(`[name="${name}"]`).forEach(el => {
         el.addEventListener('change', updateButtonState);
       });
@@ -1668,24 +1385,30 @@
     buttons.forEach(btn => {
       btn.addEventListener('click', async function(e) {
         e.preventDefault();
-        if (!hasFilterFields()) return;
+        if (!DPR.hasFilterFields()) return;
 
         window.scrollTo({ top: 0, behavior: 'smooth' });
         showSkeletonLoaders();
+
+        let result = null;
+
         try {
-          const result = await loadAndFetchQuotes();
+          result = await loadAndFetchQuotes();
+
+          // A newer request owns the page now - leave rendering to it
+          if (result === SUPERSEDED) return;
 
           if (result) {
             // Switch to recommended (suggested) mode now that filter fields are set
             // Sync storage, URL params, and radio inputs to reflect the new mode
-            updateLocalStorage('plans', 'suggested');
+            DPR.updateLocalStorage('plans', 'suggested');
             syncAllParamsFromStorage();
-            syncAllFieldsWithName('plans', 'suggested');
+            DPR.syncAllFieldsWithName('plans', 'suggested');
 
             hideErrorBar();
             showDynamicBlocks();
 
-            const resultsData = getResultsData();
+            const resultsData = DPR.getResultsData();
             if (resultsData) {
               fillChart(resultsData);
             }
@@ -1700,8 +1423,10 @@
           showErrorBar();
           hideDynamicBlocks();
         } finally {
-          hideSkeletonLoaders();
-          updatePlanBlockVisibility();
+          if (result !== SUPERSEDED) {
+            hideSkeletonLoaders();
+            updatePlanBlockVisibility();
+          }
         }
       });
     });
@@ -1713,6 +1438,9 @@
   function initialize() {
     console.log('DPR Results: Initializing...');
 
+    // Restore quote inputs from a ?resume= link before reading storage/URL
+    DPR.restoreFromResumeLink();
+
     // Initialize value management system
     prefillAllForms();
     setupFormChangeListeners();
@@ -1720,6 +1448,15 @@
     // Setup modal trigger listeners
     setupModalTriggerListeners();
 
+    // Setup error bar "Try again" action
+    setupErrorBarRetry();
+
+    // Setup share / resume quote actions
+    DPR.setupResumeActions({ source: 'dpr-results-2', scriptEl: currentScript });
+
+    // Follow quote input changes made in other tabs
+    setupCrossTabSync();
+
     // Setup filter update button
     setupFormUpdateButton();
 
@@ -1727,10 +1464,13 @@
     handlePageLoadApiCall();
   }
 
-  // Run initialization when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-  } else {
-    initialize();
-  }
+  // Run initialization once the DPR core is loaded and the DOM is ready
+  window.DPR = window.DPR || [];
+  window.DPR.push(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+      initialize();
+    }
+  });
 })();
@@ -6,18 +6,42 @@
   // Flag to prevent infinite loop when syncing fields
   let isSyncing = false;
 
-  // Root API URL
-  const rootApiURL = document.currentScript.getAttribute("data-api-url") || "https://qagsd2cins.greenshield.ca";
+  // Latest quote request - newer handlePageLoadApiCall calls abort older ones
+  let quoteRequestId = 0;
+  let quoteAbortController = null;
+
+  // Returned by handlePageLoadApiCall when a newer request replaced this one (nothing rendered)
+  const SUPERSEDED = Symbol('superseded');
+
+  // Root API URL (unset: the core falls back to DPR.DEFAULT_API_URL)
+  const rootApiURL = document.currentScript.getAttribute("data-api-url");
 
   // Filter style mode - controls whether filtering hides or just reorders plans
   // Options: "showAll" (reorder only), "limit" (reorder + hide), "hideOnly" (hide without reorder)
   const filterStyle = document.currentScript.getAttribute("data-filter-style") || "showAll";
 
-  // Hospital accommodation text prefix
-  const hospitalAccommodationText = document.currentScript.getAttribute("data-hospital-text") || "Add optional hospital accommodation for $";
+  // This script element - its data-*-text attributes override DPR.t() messages
+  // (data-hospital-text, data-apply-button-text, data-loading-text, ...)
+  const currentScript = document.currentScript;
+
+  // Price display (DPR.formatPrice): rounding "round"|"floor"|"ceil", cents "never"|"always"|"auto",
+  // symbol "none"|"locale"|"before"|"after"
+  const priceFormat = {
+    rounding: document.currentScript.getAttribute("data-price-rounding") || "round",
+    cents: document.currentScript.getAttribute("data-price-cents") || "never",
+    symbol: document.currentScript.getAttribute("data-price-symbol") || "none"
+  };
 
-  // Apply button text
-  const applyButtonText = document.currentScript.getAttribute("data-apply-button-text") || "Apply Now";
+  // Attribution fields appended to the application URL (comma-separated, "none" disables;
+  // defaults to DPR.DEFAULT_HANDOFF_PARAMS)
+  const handoffParams = document.currentScript.getAttribute("data-handoff-params");
+
+  // Seconds a cached quote response is reused when the payload is unchanged (0 disables)
+  const cacheTtl = parseInt(document.currentScript.getAttribute("data-cache-ttl"), 10);
+
+  // Quote request timeout (ms) and retries for 5xx/network failures (core defaults when unset)
+  const requestTimeout = parseInt(document.currentScript.getAttribute("data-request-timeout"), 10);
+  const retryCount = parseInt(document.currentScript.getAttribute("data-retry-count"), 10);
 
   // Comparison feature state
   let selectedPlans = [];
@@ -48,250 +72,30 @@
     '2:comprehensive': ['LINK 4', 'ZONE 7', 'ZONE 3']
   };
 
-  // ============================================================
-  // STORAGE HELPER FUNCTIONS
-  // ============================================================
-
-  /**
-   * Retrieve non-personal quote data from localStorage
-   * @returns {Object|null} Parsed localStorage data or null if unavailable
-   */
-  function getLocalStorageData() {
-    try {
-      const raw = localStorage.getItem('dpr_local_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read from localStorage:', e);
-      return null;
-    }
-  }
-
-  /**
-   * Retrieve marketing attribution data from localStorage
-   * @returns {Object} Attribution data or empty object if unavailable
-   */
-  function getAttributionData() {
-    try {
-      const raw = localStorage.getItem('visitor_attribution');
-      if (!raw) return {};
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read attribution data:', e);
-      return {};
-    }
-  }
-
-  // ============================================================
-  // STORAGE UPDATE FUNCTIONS
-  // ============================================================
-
-  /**
-   * Update a single field in localStorage (dpr_local_data)
-   * @param {string} fieldName - The field name to update
-   * @param {*} value - The new value for the field
-   * @returns {boolean} True if update succeeded, false otherwise
-   */
-  function updateLocalStorage(fieldName, value) {
-    try {
-      const data = getLocalStorageData() || {};
-      data[fieldName] = value;
-      localStorage.setItem('dpr_local_data', JSON.stringify(data));
-      return true;
-    } catch (e) {
-      console.warn('Failed to update localStorage:', e);
-      return false;
-    }
-  }
-
-  /**
-   * Remove a single field from localStorage (dpr_local_data)
-   * Used when filter value is set to 'all' to prevent interference with dpr-results.js
-   * @param {string} fieldName - The field name to remove
-   * @returns {boolean} True if removal succeeded, false otherwise
-   */
-  function removeLocalStorageField(fieldName) {
-    try {
-      const data = getLocalStorageData() || {};
-      delete data[fieldName];
-      localStorage.setItem('dpr_local_data', JSON.stringify(data));
-      return true;
-    } catch (e) {
-      console.warn('Failed to remove field from localStorage:', e);
-      return false;
-    }
-  }
-
-  // ============================================================
-  // FIELD VALIDATION
-  // ============================================================
-
-  /**
-   * Check if a field value is missing (null, undefined, or empty string)
-   * @param {*} value - The value to check
-   * @returns {boolean} True if value is missing, false otherwise
-   */
-  function isFieldMissing(value) {
-    return value == null || value === '';
-  }
-
-  /**
-   * Validate that API-required fields exist in localStorage
-   * Simplified validation - only checks fields needed for API call
-   * @returns {boolean} True if all required fields exist, false otherwise
-   */
-  function validateApiFields() {
-    const localData = getLocalStorageData();
-
-    if (!localData) {
-      console.warn('No localStorage data found');
-      return false;
-    }
-
-    // Always required fields
-    if (isFieldMissing(localData.CoverageType)) {
-      console.warn('Required field missing: CoverageType');
-      return false;
-    }
-    if (isFieldMissing(localData.Age)) {
-      console.warn('Required field missing: Age');
-      return false;
-    }
-    if (isFieldMissing(localData.Province)) {
-      console.warn('Required field missing: Province');
-      return false;
-    }
-
-    // Conditionally required: Dependents (not needed if CoverageType == 0)
-    if (localData.CoverageType != 0) {
-      if (isFieldMissing(localData.Dependents)) {
-        console.warn('Required field missing: Dependents (CoverageType is not 0)');
-        return false;
-      }
-    }
-
-    console.log('All API-required fields validated successfully');
-    return true;
-  }
-
-  // ============================================================
-  // PAYLOAD BUILDING
-  // ============================================================
-
-  /**
-   * Build API payload from stored data
-   * Merges data from localStorage and attribution tracker
-   * Personal fields (sessionStorage) are set to null
-   * @returns {Object|null} Complete API payload or null if required data is missing
-   */
-  function buildPayload() {
-    // Retrieve data from storage sources
-    const localData = getLocalStorageData();
-    const attributionData = getAttributionData();
-
-    // Validate required data exists
-    if (!localData) {
-      console.error('Missing required quote data in localStorage');
-      return null;
-    }
-
-    // Build the payload with proper type conversions
-    const payload = {
-      // Core quote fields (MUST convert strings to numbers)
-      CoverageType: Number(localData.CoverageType),
-      Province: Number(localData.Province),
-      Age: Number(localData.Age),
-      Dependents: Number(localData.Dependents || 0),
-      CoverageTier: localData.CoverageTier,
-      InsuranceReason: localData.InsuranceReason ? Number(localData.InsuranceReason) : null,
-
-      // Coverage options
-      PreExisting: localData.PreExisting || null,
-      PreExistingCoverage: localData.PreExistingCoverage || null,
-
-      // Contact information (all null for this utility - no sessionStorage)
-      EmailAddress: null,
-      PhoneNumber: null,
-      MarketingPermission: false,
-
-      // Personal information (all null for this utility - no sessionStorage)
-      FirstName: null,
-      LastName: null,
-
-      // Attribution tracking data (merge all attribution fields)
-      gclid: attributionData.gclid || null,
-      fbclid: attributionData.fbclid || null,
-      utm_source: attributionData.utm_source || null,
-      utm_medium: attributionData.utm_medium || null,
-      utm_campaign: attributionData.utm_campaign || null,
-      utm_term: attributionData.utm_term || null,
-      utm_content: attributionData.utm_content || null,
-      referrer: attributionData.referrer || null,
-      ga_client_id: attributionData.ga_client_id || null,
-      landing_page: attributionData.landing_page || null,
-      user_agent: attributionData.user_agent || null,
-      language: attributionData.language || null,
-
-      // Legacy fields - Kept for API compatibility
-      LeftGroupHealthPlan: null,
-      Prescription: null,
-      CoverOption: null,
-      PhoneExtension: null
-    };
-
-    return payload;
-  }
-
   // ============================================================
   // API FUNCTIONS
   // ============================================================
 
-  /**
-   * Call the GreenShield quote API
-   * @param {Object} payload - Complete API payload from buildPayload()
-   * @returns {Promise<Object>} Full API response with QuoteSetId and PlanQuotes
-   * @throws {Error} If API request fails or returns non-OK status
-   */
-  async function fetchQuotes(payload) {
-    try {
-      const res = await fetch(`${rootApiURL}/quoteset`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!res.ok) {
-        const errorText = await res.text();
-        console.error('API Error Response:', errorText);
-        throw new Error(`Quote API failed with status: ${res.status}`);
-      }
-
-      const json = await res.json();
-
-      // Validate response structure
-      if (!json.QuoteSetId || !json.PlanQuotes) {
-        console.warn('API response missing expected fields:', json);
-      }
-
-      return json;
-    } catch (error) {
-      console.error('Fetch error:', error);
-      throw error; // Re-throw to allow caller to handle
-    }
-  }
-
   /**
    * Handle API call on page load
    * Simplified version - no redirect on missing fields, just hide blocks
+   * Starting a new call aborts any in-flight one so only the latest inputs render
+   * @returns {Promise<boolean|symbol>} Whether quotes were shown, or SUPERSEDED
    */
   async function handlePageLoadApiCall() {
     console.log('Plan Card Display: Starting page load API call...');
 
+    // Cancel the previous request and claim the latest slot
+    if (quoteAbortController) quoteAbortController.abort();
+    const controller = new AbortController();
+    const requestId = ++quoteRequestId;
+    quoteAbortController = controller;
+
     // Track actual API success/failure status
     let apiSuccess = false;
 
     // Step 1: Validate required fields
-    if (!validateApiFields()) {
+    if (!DPR.validateRequiredFields()) {
       console.warn('Missing API-required fields - hiding dynamic blocks');
       hideDynamicBlocks();
       apiSuccess = false;
@@ -302,16 +106,42 @@
 
       // Step 3: Build payload and call API
       try {
-        const localData = getLocalStorageData();
-        const payload = buildPayload();
+        const localData = DPR.getLocalStorageData();
+        const payload = DPR.buildPayload({ includePersonalData: false });
 
         if (!payload) {
           console.error('Failed to build API payload');
           hideDynamicBlocks();
           apiSuccess = false;
         } else {
-          console.log('Fetching quotes with payload:', payload);
-          const apiResponse = await fetchQuotes(payload);
+          // Reuse cached response if the payload hasn't changed
+          let apiResponse = DPR.getCachedResults(payload, cacheTtl);
+
+          if (apiResponse) {
+            console.log('Using cached quote response:', apiResponse);
+            DPR.emit('quote-loaded', { source: 'plan-card-display', results: apiResponse, cached: true });
+          } else {
+            console.log('Fetching quotes with payload:', payload);
+            DPR.emit('quote-requested', { source: 'plan-card-display', ...DPR.describePayload(payload) });
+            apiResponse = await DPR.fetchQuotes(rootApiURL, payload, {
+              timeout: requestTimeout,
+              retries: retryCount,
+              signal: controller.signal
+            });
+
+            // Ignore responses that landed after a newer request started
+            if (requestId !== quoteRequestId) {
+              console.log('Plan Card Display: Ignoring superseded quote response');
+              return SUPERSEDED;
+            }
+
+            // Save results so later loads (and plan pages) can reuse them
+            if (!DPR.saveResultsData(apiResponse, localData, null, payload)) {
+              console.warn('API call succeeded but failed to save results to storage');
+            }
+
+            DPR.emit('quote-loaded', { source: 'plan-card-display', results: apiResponse, cached: false });
+          }
 
           if (apiResponse) {
             console.log('Page load API call succeeded');
@@ -326,27 +156,39 @@
           }
         }
       } catch (error) {
+        if (requestId !== quoteRequestId) return SUPERSEDED;
+
         console.error('Page load API call error:', error);
+        DPR.emit('quote-failed', { source: 'plan-card-display', error: error.message, status: error.status ?? null });
         hideDynamicBlocks();
         apiSuccess = false;
       } finally {
-        // Step 4: Always hide skeleton loaders
-        hideSkeletonLoaders();
+        // Step 4: Hide skeleton loaders (a newer request hides its own)
+        if (requestId === quoteRequestId) {
+          hideSkeletonLoaders();
+        }
       }
     }
 
+    if (quoteAbortController === controller) quoteAbortController = null;
+
     // Step 5: Always dispatch event to notify plan-injector
     // This runs whether API succeeded, failed, or validation failed
     // Use setTimeout to ensure event fires after plan-injector listener is registered
     setTimeout(() => {
-      // Store event data in global flag for plan-injector to check (handles race condition)
+      // Legacy global flag + event (kept for existing listeners such as tooltip-system.js)
       window.__plansPopulatedData = { success: apiSuccess };
 
       window.dispatchEvent(new CustomEvent('plans-populated', {
         detail: { success: apiSuccess }
       }));
+
+      // Event bus version (replayed to late subscribers such as plan-injector.js)
+      DPR.emit('plans-populated', { source: 'plan-card-display', success: apiSuccess });
       console.log(`Plan Card Display: Dispatched 'plans-populated' event with success=${apiSuccess}`);
     }, 0);
+
+    return apiSuccess;
   }
 
   // ============================================================
@@ -358,7 +200,7 @@
    * @returns {Object} Current filter values (defaults to 'all' if missing)
    */
   function getCurrentFilterState() {
-    const localData = getLocalStorageData() || {};
+    const localData = DPR.getLocalStorageData() || {};
 
     return {
       InsuranceReason: localData.InsuranceReason || 'all',
@@ -408,18 +250,18 @@
    */
   function resetFiltersToAll() {
     // Remove filter fields from localStorage
-    removeLocalStorageField('InsuranceReason');
-    removeLocalStorageField('CoverageTier');
+    DPR.removeLocalStorageField('InsuranceReason');
+    DPR.removeLocalStorageField('CoverageTier');
 
     // Update all filter form fields to 'all'
     const forms = document.querySelectorAll('form');
 
     forms.forEach(form => {
       if (form.elements['InsuranceReason']) {
-        setFieldValue(form, 'InsuranceReason', 'all');
+        DPR.setFieldValue(form, 'InsuranceReason', 'all');
       }
       if (form.elements['CoverageTier']) {
-        setFieldValue(form, 'CoverageTier', 'all');
+        DPR.setFieldValue(form, 'CoverageTier', 'all');
       }
     });
 
@@ -498,6 +340,7 @@
     if (!filteredPlanNames) {
       console.log('No filtering applied - showing all plans in existing order');
       allPlanElements.forEach(el => el.style.display = '');
+      DPR.emit('plans-reordered', { source: 'plan-card-display', topPlans: [], mode: filterStyle });
       return;
     }
 
@@ -547,6 +390,8 @@
         console.log(`Applied filtering (showAll mode): ${filteredElements.length} filtered, ${otherElements.length} others`);
       }
     }
+
+    DPR.emit('plans-reordered', { source: 'plan-card-display', topPlans: filteredPlanNames, mode: filterStyle });
   }
 
   // ============================================================
@@ -671,7 +516,7 @@
     const compareButton = document.querySelector('[data-compare="compare-button"]');
     if (compareButton) {
       const buttonText = compareButton.querySelector('div');
-      if (buttonText) buttonText.textContent = 'Clear';
+      if (buttonText) buttonText.textContent = DPR.t('compareClear', currentScript);
     }
 
     // Disable controls during comparison
@@ -686,6 +531,7 @@
     disableFilterControls();
 
     isCompareActive = true;
+    DPR.emit('compare-started', { source: 'plan-card-display', planNames: [...selectedPlans] });
     console.log('Comparison mode activated');
   }
 
@@ -719,7 +565,7 @@
     const compareButton = document.querySelector('[data-compare="compare-button"]');
     if (compareButton) {
       const buttonText = compareButton.querySelector('div');
-      if (buttonText) buttonText.textContent = 'Compare Plans';
+      if (buttonText) buttonText.textContent = DPR.t('comparePlans', currentScript);
     }
 
     // Show remove buttons
@@ -741,108 +587,6 @@
     console.log('Comparison mode cleared');
   }
 
-  // ============================================================
-  // FORM FIELD VALUE MANAGEMENT
-  // ============================================================
-
-  /**
-   * Get current value from a form field
-   * @param {HTMLFormElement} formEl - The form element
-   * @param {string} fieldName - The name of the field
-   * @returns {string|null} The field value or null
-   */
-  function getFieldValue(formEl, fieldName) {
-    const elements = formEl.elements[fieldName];
-
-    if (!elements) return null;
-
-    // Handle radio buttons (NodeList)
-    if (elements instanceof RadioNodeList) {
-      return elements.value || null;
-    }
-
-    // Handle single element (select, text input, checkbox)
-    if (elements.type === 'checkbox') {
-      return elements.checked ? elements.value || 'true' : null;
-    }
-
-    return elements.value || null;
-  }
-
-  /**
-   * Set value on a form field
-   * @param {HTMLFormElement} formEl - The form element
-   * @param {string} fieldName - The name of the field
-   * @param {string} value - The value to set
-   */
-  function setFieldValue(formEl, fieldName, value) {
-    const elements = formEl.elements[fieldName];
-
-    if (!elements) return;
-
-    // Handle radio buttons (NodeList)
-    if (elements instanceof RadioNodeList) {
-      // First, remove Webflow checked class from all radios in this group
-      for (const radio of elements) {
-        const customInput = radio.parentElement?.querySelector('.w-radio-input');
-        if (customInput) {
-          customInput.classList.remove('w--redirected-checked');
-        }
-      }
-
-      // Then set the matching radio as checked
-      for (const radio of elements) {
-        if (radio.value === value) {
-          radio.checked = true;
-
-          // Add Webflow checked class to the custom radio input
-          const customInput = radio.parentElement?.querySelector('.w-radio-input');
-          if (customInput) {
-            customInput.classList.add('w--redirected-checked');
-          }
-
-          radio.dispatchEvent(new Event('change', { bubbles: true }));
-          break;
-        }
-      }
-      return;
-    }
-
-    // Handle select element
-    if (elements.tagName === 'SELECT') {
-      elements.value = value;
-      elements.dispatchEvent(new Event('change', { bubbles: true }));
-      return;
-    }
-
-    // Handle checkbox
-    if (elements.type === 'checkbox') {
-      elements.checked = value === 'true' || value === elements.value;
-      elements.dispatchEvent(new Event('change', { bubbles: true }));
-      return;
-    }
-
-    // Handle text input
-    elements.value = value;
-    elements.dispatchEvent(new Event('input', { bubbles: true }));
-  }
-
-  /**
-   * Update ALL form fields with the same name across the page
-   * @param {string} fieldName - The field name to sync
-   * @param {*} value - The value to set
-   */
-  function syncAllFieldsWithName(fieldName, value) {
-    const forms = document.querySelectorAll('form');
-
-    forms.forEach(form => {
-      const field = form.elements[fieldName];
-      if (field) {
-        setFieldValue(form, fieldName, value);
-      }
-    });
-  }
-
   // ============================================================
   // FORM SYNCING
   // ============================================================
@@ -860,18 +604,18 @@
 
     try {
       // Get new value
-      const value = getFieldValue(formEl, fieldName);
+      const value = DPR.getFieldValue(formEl, fieldName);
 
       // CRITICAL: Don't save 'all' to storage - remove field instead
       // This prevents interference with dpr-results.js filtering logic
       if (value === 'all') {
-        removeLocalStorageField(fieldName);
+        DPR.removeLocalStorageField(fieldName);
       } else {
-        updateLocalStorage(fieldName, value);
+        DPR.updateLocalStorage(fieldName, value);
       }
 
       // Sync all other fields with same name
-      syncAllFieldsWithName(fieldName, value);
+      DPR.syncAllFieldsWithName(fieldName, value);
 
       // Trigger filtering update if filter field changed
       const filterFields = ['InsuranceReason', 'CoverageTier'];
@@ -887,7 +631,7 @@
    * Populate all form fields on page load from localStorage
    */
   function prefillAllForms() {
-    const localData = getLocalStorageData() || {};
+    const localData = DPR.getLocalStorageData() || {};
     const forms = document.querySelectorAll('form');
 
     forms.forEach(form => {
@@ -898,7 +642,7 @@
         const value = localData[fieldName];
 
         if (value !== undefined && value !== null) {
-          setFieldValue(form, fieldName, value);
+          DPR.setFieldValue(form, fieldName, value);
         }
       });
     });
@@ -935,6 +679,40 @@
     });
   }
 
+  /**
+   * Follow quote input changes made in another tab (see DPR.setupCrossTabSync):
+   * refill forms, then re-quote for core field changes or re-filter for filter changes
+   */
+  function setupCrossTabSync() {
+    DPR.setupCrossTabSync({
+      requoteFields: DPR.getFieldNames({ group: 'core' }),
+      onSync: syncFieldsFromStorage,
+      onRequote: () => handlePageLoadApiCall(),
+      onResort: () => applyPlanVisibilityAndOrder()
+    });
+  }
+
+  /**
+   * Refill forms with quote inputs changed in another tab
+   * @param {string[]} changedFields - Changed field names
+   * @param {Object} localData - Current dpr_local_data
+   */
+  function syncFieldsFromStorage(changedFields, localData) {
+    // Programmatic field updates must not be written back to storage
+    isSyncing = true;
+
+    try {
+      changedFields.forEach(fieldName => {
+        // A removed plans mode means "all" (see syncFormFieldToStorage); other
+        // removed fields are cleared
+        const fallback = fieldName === 'plans' ? 'all' : '';
+        DPR.syncAllFieldsWithName(fieldName, localData[fieldName] ?? fallback);
+      });
+    } finally {
+      isSyncing = false;
+    }
+  }
+
   // ============================================================
   // UI STATE MANAGEMENT
   // ============================================================
@@ -1029,7 +807,7 @@
         if (btn) {
           btn.style.display = 'none';
           btn.disabled = false;
-          btn.textContent = applyButtonText;
+          btn.textContent = DPR.t('applyButton', currentScript);
           delete btn.dataset.confirmation;
         }
 
@@ -1055,71 +833,6 @@
     console.log(`Reset ${planItems.length} plan items`);
   }
 
-  /**
-   * Fetch application URL from API using confirmation number
-   * @param {string} confirmationNumber - The quote confirmation number
-   * @returns {Promise<string>} Application URL
-   */
-  async function getApplicationUrl(confirmationNumber) {
-    // Build base URL
-    let apiUrl = `${rootApiURL}/applicationUrl/${confirmationNumber}`;
-
-    // Append lang parameter if page is French Canadian
-    const htmlLang = document.documentElement.lang;
-    if (htmlLang && htmlLang.toLowerCase() === 'fr-ca') {
-      apiUrl += '?lang=fr';
-    }
-
-    const res = await fetch(apiUrl);
-
-    if (!res.ok) {
-      throw new Error(`Network error: ${res.status}`);
-    }
-
-    const raw = await res.text();
-    let url;
-
-    try {
-      url = JSON.parse(raw).ApplicationUrl;
-    } catch {
-      url = raw;
-    }
-
-    if (!url || !url.startsWith('http')) {
-      throw new Error('Invalid URL received');
-    }
-
-    return url;
-  }
-
-  /**
-   * Decorate URLs with GTM auto-linker for cross-domain tracking
-   * @param {string} url - The URL to decorate
-   * @returns {string} Decorated URL or original if decoration fails
-   */
-  function decorateWithGtmAutoLinker(url) {
-    try {
-      if (typeof gtag === 'undefined') {
-        return url;
-      }
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.style.position = 'absolute';
-      a.style.left = '-9999px';
-      document.body.appendChild(a);
-
-      a.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-
-      const decorated = a.href;
-      a.remove();
-      return decorated || url;
-    } catch (err) {
-      console.warn('Auto-linker decoration failed, using raw URL', err);
-      return url;
-    }
-  }
-
   /**
    * Show/hide plan buttons based on Province value
    * @param {HTMLElement} planItem - The plan container element
@@ -1170,11 +883,18 @@
       newTotal += parseFloat(hospitalOption.OptionPremium);
     }
 
-    // Update price display (whole numbers only, no cents)
-    const displayPrice = Math.round(newTotal);
+    // Update price display (formatted per data-price-* attributes)
+    const displayPrice = DPR.formatPrice(newTotal, priceFormat);
     priceEl.textContent = displayPrice;
 
-    console.log(`Hospital accommodation ${isChecked ? 'added' : 'removed'} for plan. New total: $${displayPrice}`);
+    DPR.emit('hospital-toggled', {
+      source: 'plan-card-display',
+      planName: planItem.getAttribute('dpr-results-plan'),
+      checked: isChecked,
+      premium: newTotal
+    });
+
+    console.log(`Hospital accommodation ${isChecked ? 'added' : 'removed'} for plan. New total: ${displayPrice}`);
   }
 
   /**
@@ -1185,7 +905,7 @@
     resetChart();
 
     // Get Province value to determine button visibility
-    const localData = getLocalStorageData();
+    const localData = DPR.getLocalStorageData();
     const province = localData?.Province;
     const isQuebec = province == 10; // Use == to handle string/number comparison
 
@@ -1216,8 +936,7 @@
         // Populate price
         const priceEl = block.querySelector('[dpr-results-price="price"]');
         if (priceEl) {
-          const price = Math.round(parseFloat(quote.Premium));
-          priceEl.textContent = price;
+          priceEl.textContent = DPR.formatPrice(quote.Premium, priceFormat);
           priceEl.style.display = 'block';
         }
 
@@ -1239,8 +958,7 @@
           // Populate text line
           const textLine = checkboxWrapper.querySelector('[dpr-quote-hospital="text-line"]');
           if (textLine) {
-            const price = Math.round(parseFloat(hospitalOption.OptionPremium));
-            textLine.textContent = `${hospitalAccommodationText}${price}`;
+            textLine.textContent = DPR.formatPriceText(DPR.t('hospitalText', currentScript), hospitalOption.OptionPremium, priceFormat);
           }
 
           // Wire up checkbox handler
@@ -1278,13 +996,20 @@
           newBtn.addEventListener('click', async (e) => {
             e.preventDefault();
 
+            DPR.emit('apply-clicked', {
+              source: 'plan-card-display',
+              planName: quote.PlanName,
+              premium: quote.Premium,
+              confirmationNumber: newBtn.dataset.confirmation
+            });
+
             const originalText = newBtn.textContent;
             newBtn.disabled = true;
-            newBtn.textContent = 'Loading...';
+            newBtn.textContent = DPR.t('loading', currentScript);
 
             try {
-              const url = await getApplicationUrl(newBtn.dataset.confirmation);
-              const finalUrl = decorateWithGtmAutoLinker(url);
+              const url = await DPR.getApplicationUrl(rootApiURL, newBtn.dataset.confirmation);
+              const finalUrl = DPR.decorateWithGtmAutoLinker(DPR.appendAttributionToUrl(url, handoffParams));
 
               // Short delay for GA hit to flush
               setTimeout(() => {
@@ -1292,7 +1017,8 @@
               }, 200);
             } catch (err) {
               console.error('Error getting application URL:', err);
-              newBtn.textContent = 'Error – Try Again';
+              DPR.emit('apply-failed', { source: 'plan-card-display', planName: quote.PlanName, error: err.message });
+              newBtn.textContent = DPR.t('applyError', currentScript);
               newBtn.disabled = false;
             }
           });
@@ -1395,6 +1121,9 @@
     // Setup form change listeners
     setupFormChangeListeners();
 
+    // Follow quote input changes made in other tabs
+    setupCrossTabSync();
+
     // Initialize comparison feature (if UI exists)
     initializeComparisonFeature();
 
@@ -1402,10 +1131,13 @@
     handlePageLoadApiCall();
   }
 
-  // Run initialization when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-  } else {
-    initialize();
-  }
+  // Run initialization once the DPR core is loaded and the DOM is ready
+  window.DPR = window.DPR || [];
+  window.DPR.push(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+      initialize();
+    }
+  });
 })();
@@ -6,47 +6,65 @@
   // GLOBAL CONFIGURATION
   // ============================================================
 
-  // Root API URL
-  const rootApiURL = document.currentScript.getAttribute("data-api-url") ||
-    "https://qagsd2cins.greenshield.ca";
+  // Root API URL (unset: the core falls back to DPR.DEFAULT_API_URL)
+  const rootApiURL = document.currentScript.getAttribute("data-api-url");
 
-  // Hospital accommodation text prefix
-  const hospitalAccommodationText = document.currentScript.getAttribute("data-hospital-text") ||
-    "Add optional hospital accommodation for $";
+  // This script element - its data-*-text attributes override DPR.t() messages
+  // (data-hospital-text, data-apply-button-text, data-loading-text, ...)
+  const currentScript = document.currentScript;
 
-  // ============================================================
-  // STORAGE HELPER FUNCTIONS
-  // ============================================================
+  // Price display (DPR.formatPrice): rounding "round"|"floor"|"ceil", cents "never"|"always"|"auto",
+  // symbol "none"|"locale"|"before"|"after"
+  const priceFormat = {
+    rounding: document.currentScript.getAttribute("data-price-rounding") || "round",
+    cents: document.currentScript.getAttribute("data-price-cents") || "never",
+    symbol: document.currentScript.getAttribute("data-price-symbol") || "before"
+  };
 
-  /**
-   * Retrieve results data from sessionStorage
-   * @returns {Object|null} Parsed results data or null
-   */
-  function getResultsData() {
-    try {
-      const raw = sessionStorage.getItem('dpr_results_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read results data:', e);
-      return null;
-    }
-  }
+  // Attribution fields appended to the application URL (comma-separated, "none" disables;
+  // defaults to DPR.DEFAULT_HANDOFF_PARAMS)
+  const handoffParams = document.currentScript.getAttribute("data-handoff-params");
 
-  /**
-   * Retrieve non-personal quote data from localStorage
-   * @returns {Object|null} Parsed localStorage data or null if unavailable
-   */
-  function getLocalStorageData() {
-    try {
-      const raw = localStorage.getItem('dpr_local_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to read from localStorage:', e);
-      return null;
-    }
-  }
+  // Fallback quote request (no cached results) timeout (ms) and retries for
+  // 5xx/network failures (core defaults when unset)
+  const requestTimeout = parseInt(document.currentScript.getAttribute("data-request-timeout"), 10);
+  const retryCount = parseInt(document.currentScript.getAttribute("data-retry-count"), 10);
+
+  // Cached quote taken for inputs that have since changed: "requote" fetches a fresh
+  // quote automatically, "prompt" shows [data-plan-page="staleQuote"] until the user refreshes
+  const staleQuoteMode = document.currentScript.getAttribute("data-stale-quote") || "requote";
+
+  // In-flight fresh quote request ({ payloadHash, promise }), shared so repeated
+  // population runs for the same inputs fetch once; cleared as soon as it settles
+  let fallbackRequest = null;
+
+  // Request tracking: each fresh quote claims a new id and aborts the previous one,
+  // so a response for replaced inputs is never saved or rendered
+  let quoteRequestId = 0;
+  let quoteAbortController = null;
+
+  // Returned by fetchFallbackQuote() when a newer request replaced it
+  const SUPERSEDED = Symbol('superseded');
+
+  // Returned by requestFreshQuote() when the inputs were complete but no quote
+  // came back (network, 5xx or rejected request) - an error, not a missing answer
+  const QUOTE_FAILED = Symbol('quote-failed');
+
+  // Set once initialize() has run
+  let isInitialized = false;
+
+  // Pending re-render for results saved on this page (see setupResultsListeners)
+  let resultsUpdateTimer = null;
+
+  // Quote currently displayed ("ConfirmationNumber:Premium:isQuebec"), so re-rendering
+  // the same quote does not re-clone the apply button or re-wire the hospital checkbox
+  let renderedQuoteKey = null;
+
+  // Temporary storage for quote editor field values (for cancel/reset)
+  let savedModalValues = null;
+
+  // Flag to track if the quote editor is being submitted (prevents reset on modal close)
+  let isFormSubmitting = false;
 
   // ============================================================
   // PLAN DATA RETRIEVAL
@@ -64,11 +82,10 @@
   /**
    * Get plan data for a specific plan name from dpr_results_data
    * @param {string} planName - The plan name to find
+   * @param {Object} [resultsData] - Results data (defaults to sessionStorage.dpr_results_data)
    * @returns {Object|null} Plan quote object or null if not found
    */
-  function getPlanData(planName) {
-    const resultsData = getResultsData();
-
+  function getPlanData(planName, resultsData = DPR.getResultsData()) {
     if (!resultsData) {
       console.warn('No results data found in sessionStorage');
       return null;
@@ -91,6 +108,240 @@
     return matchingPlan;
   }
 
+  // ============================================================
+  // FALLBACK QUOTE (NO CACHED OR STALE RESULTS)
+  // ============================================================
+
+  /**
+   * Create and display skeleton loaders on all marked elements
+   */
+  function showSkeletonLoaders() {
+    const skeletonElements = document.querySelectorAll('[dpr-code-skeleton]');
+
+    skeletonElements.forEach(element => {
+      // Skip if skeleton already exists
+      if (element.querySelector('.skeleton-loader')) return;
+
+      const skeletonDiv = document.createElement('div');
+      skeletonDiv.classList.add('skeleton-loader');
+      element.style.position = 'relative';
+      element.appendChild(skeletonDiv);
+    });
+
+    console.log(`Skeleton loaders shown on ${skeletonElements.length} elements`);
+  }
+
+  /**
+   * Remove all skeleton loaders from the page
+   */
+  function hideSkeletonLoaders() {
+    const skeletonLoaders = document.querySelectorAll('.skeleton-loader');
+
+    skeletonLoaders.forEach(loader => {
+      loader.remove();
+    });
+
+    console.log(`Removed ${skeletonLoaders.length} skeleton loaders`);
+  }
+
+  /**
+   * Show the "get your price" call to action in place of the quote (quote inputs are missing)
+   */
+  function showGetPriceCta() {
+    renderedQuoteKey = null;
+    hideQuoteError();
+
+    const quoteWrapper = document.querySelector('[data-plan-page="quoteWrapper"]');
+    if (quoteWrapper) quoteWrapper.classList.add('hide');
+
+    const cta = document.querySelector('[data-plan-page="getPriceCta"]');
+    if (cta) cta.style.display = 'block';
+  }
+
+  /**
+   * Hide the "get your price" call to action
+   */
+  function hideGetPriceCta() {
+    const cta = document.querySelector('[data-plan-page="getPriceCta"]');
+    if (cta) cta.style.display = 'none';
+  }
+
+  /**
+   * Show the quote error in place of the quote (inputs complete, request failed)
+   * Adds a "Try again" [data-plan-page="refreshPrice"] trigger if the element has none
+   */
+  function showQuoteError() {
+    renderedQuoteKey = null;
+    hideGetPriceCta();
+
+    const quoteWrapper = document.querySelector('[data-plan-page="quoteWrapper"]');
+    if (quoteWrapper) quoteWrapper.classList.add('hide');
+
+    const errorEl = document.querySelector('[data-plan-page="quoteError"]');
+    if (!errorEl) {
+      console.warn('No [data-plan-page="quoteError"] element - quote error not shown');
+      return;
+    }
+
+    if (!errorEl.querySelector('[data-plan-page="refreshPrice"]')) {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.setAttribute('data-plan-page', 'refreshPrice');
+      retryBtn.textContent = DPR.t('retry', currentScript);
+      errorEl.appendChild(retryBtn);
+    }
+
+    errorEl.style.display = 'block';
+  }
+
+  /**
+   * Hide the quote error
+   */
+  function hideQuoteError() {
+    const errorEl = document.querySelector('[data-plan-page="quoteError"]');
+    if (errorEl) errorEl.style.display = 'none';
+  }
+
+  /**
+   * Show the "your details changed - refresh price" prompt instead of a stale premium
+   */
+  function showStaleQuotePrompt() {
+    renderedQuoteKey = null;
+
+    const quoteWrapper = document.querySelector('[data-plan-page="quoteWrapper"]');
+    if (quoteWrapper) quoteWrapper.classList.add('hide');
+
+    const prompt = document.querySelector('[data-plan-page="staleQuote"]');
+    if (prompt) prompt.style.display = 'block';
+  }
+
+  /**
+   * Hide the stale quote prompt
+   */
+  function hideStaleQuotePrompt() {
+    const prompt = document.querySelector('[data-plan-page="staleQuote"]');
+    if (prompt) prompt.style.display = 'none';
+  }
+
+  /**
+   * Check whether cached results were quoted for the current dpr_local_data
+   * @param {Object} resultsData - Cached results data
+   * @returns {boolean} True if any quote input changed since the quote was taken
+   */
+  function isQuoteStale(resultsData) {
+    const changedFields = DPR.getChangedQuoteFields(resultsData);
+    if (!changedFields.length) return false;
+
+    console.warn('Cached quote was taken for different inputs:', changedFields);
+    DPR.emit('quote-stale', { source: 'plan-page', changedFields });
+    return true;
+  }
+
+  /**
+   * Request a fresh quote for a payload and cache it in dpr_results_data
+   * for the rest of the session. Aborts the previous request
+   * @param {Object} payload - Payload from DPR.buildPayload()
+   * @returns {Promise<Object|symbol>} Results data ({ results, dpr_local_storage }),
+   *   QUOTE_FAILED or SUPERSEDED
+   */
+  async function fetchFallbackQuote(payload) {
+    // Cancel the previous request and claim the latest slot
+    if (quoteAbortController) quoteAbortController.abort();
+    const controller = new AbortController();
+    const requestId = ++quoteRequestId;
+    quoteAbortController = controller;
+
+    const localData = DPR.getLocalStorageData();
+
+    showSkeletonLoaders();
+
+    try {
+      console.log('Fetching fresh quotes with payload:', payload);
+      DPR.emit('quote-requested', { source: 'plan-page', ...DPR.describePayload(payload) });
+      const apiResponse = await DPR.fetchQuotes(rootApiURL, payload, {
+        timeout: requestTimeout,
+        retries: retryCount,
+        signal: controller.signal
+      });
+
+      // Ignore responses that landed after newer inputs replaced this request
+      if (requestId !== quoteRequestId) {
+        console.log('Ignoring superseded quote response');
+        return SUPERSEDED;
+      }
+
+      // Save results so other plan pages (and the results page) can reuse them
+      if (!DPR.saveResultsData(apiResponse, localData, null, payload)) {
+        console.warn('API call succeeded but failed to save results to storage');
+      }
+
+      DPR.emit('quote-loaded', { source: 'plan-page', results: apiResponse, cached: false });
+      return { results: apiResponse, dpr_local_storage: localData };
+    } catch (error) {
+      if (requestId !== quoteRequestId) return SUPERSEDED;
+
+      console.error('Fallback quote request failed:', error);
+      DPR.emit('quote-failed', { source: 'plan-page', error: error.message, status: error.status ?? null });
+      return QUOTE_FAILED;
+    } finally {
+      // A newer request keeps its skeletons
+      if (quoteAbortController === controller) {
+        quoteAbortController = null;
+        hideSkeletonLoaders();
+      }
+    }
+  }
+
+  /**
+   * Request a fresh quote for the current dpr_local_data, reusing a request
+   * already in flight for the same inputs (settled requests are never reused,
+   * so a failed or outdated quote is retried on the next call)
+   * @returns {Promise<Object|null|symbol>} Results data, null if inputs are missing,
+   *   QUOTE_FAILED or SUPERSEDED
+   */
+  function requestFreshQuote() {
+    if (!DPR.validateRequiredFields()) {
+      console.warn('Quote inputs are missing - showing get-your-price CTA');
+      return Promise.resolve(null);
+    }
+
+    const payload = DPR.buildPayload({ includePersonalData: false });
+
+    if (!payload) {
+      console.error('Failed to build API payload');
+      return Promise.resolve(QUOTE_FAILED);
+    }
+
+    const payloadHash = DPR.hashPayload(payload);
+    if (fallbackRequest?.payloadHash === payloadHash) {
+      return fallbackRequest.promise;
+    }
+
+    const request = { payloadHash, promise: fetchFallbackQuote(payload) };
+    fallbackRequest = request;
+
+    request.promise.finally(() => {
+      if (fallbackRequest === request) fallbackRequest = null;
+    });
+
+    return request.promise;
+  }
+
+  /**
+   * Wire [data-plan-page="refreshPrice"] triggers to re-quote with the current inputs
+   */
+  function setupRefreshPrice() {
+    // Delegated so triggers work whether or not the DOM has finished loading
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('[data-plan-page="refreshPrice"]')) return;
+
+      e.preventDefault();
+      hideStaleQuotePrompt();
+      hideQuoteError();
+      populatePlanPage({ refresh: true });
+    });
+  }
+
   // ============================================================
   // PROVINCE CHECK (QUEBEC HANDLING)
   // ============================================================
@@ -100,7 +351,7 @@
    * @returns {boolean} True if Province is 10 (Quebec)
    */
   function isQuebec() {
-    const localData = getLocalStorageData();
+    const localData = DPR.getLocalStorageData();
     const province = localData?.Province;
     return province == 10; // Use == to handle string/number comparison
   }
@@ -124,8 +375,11 @@
 
       console.log('Quebec province detected - hiding apply button');
     } else {
-      // Other provinces: show apply button
-      if (applyBtnWrapper) applyBtnWrapper.classList.remove('hide');
+      // Other provinces: show apply button (also undoing an earlier Quebec render)
+      if (applyBtnWrapper) {
+        applyBtnWrapper.classList.remove('hide');
+        applyBtnWrapper.style.display = '';
+      }
       if (applyBtn) applyBtn.style.display = 'flex';
 
       const quebecBtn = document.querySelector('[data-plan-page="quebecCall"]');
@@ -137,76 +391,12 @@
   // APPLY BUTTON SETUP
   // ============================================================
 
-  /**
-   * Fetch application URL from API using confirmation number
-   * @param {string} confirmationNumber - The quote confirmation number
-   * @returns {Promise<string>} Application URL
-   */
-  async function getApplicationUrl(confirmationNumber) {
-    // Build base URL
-    let apiUrl = `${rootApiURL}/applicationUrl/${confirmationNumber}`;
-
-    // Append lang parameter if page is French Canadian
-    const htmlLang = document.documentElement.lang;
-    if (htmlLang && htmlLang.toLowerCase() === 'fr-ca') {
-      apiUrl += '?lang=fr';
-    }
-
-    const res = await fetch(apiUrl);
-
-    if (!res.ok) {
-      throw new Error(`Network error: ${res.status}`);
-    }
-
-    const raw = await res.text();
-    let url;
-
-    try {
-      url = JSON.parse(raw).ApplicationUrl;
-    } catch {
-      url = raw;
-    }
-
-    if (!url || !url.startsWith('http')) {
-      throw new Error('Invalid URL received');
-    }
-
-    return url;
-  }
-
-  /**
-   * Decorate URLs with GTM auto-linker for cross-domain tracking
-   * @param {string} url - The URL to decorate
-   * @returns {string} Decorated URL or original if decoration fails
-   */
-  function decorateWithGtmAutoLinker(url) {
-    try {
-      if (typeof gtag === 'undefined') {
-        return url;
-      }
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.style.position = 'absolute';
-      a.style.left = '-9999px';
-      document.body.appendChild(a);
-
-      a.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-
-      const decorated = a.href;
-      a.remove();
-      return decorated || url;
-    } catch (err) {
-      console.warn('Auto-linker decoration failed, using raw URL', err);
-      return url;
-    }
-  }
-
   /**
    * Setup the apply button with API call functionality
    * @param {string} confirmationNumber - Quote confirmation number
+   * @param {number} premium - Plan premium (reported with the apply-clicked event)
    */
-  function setupApplyButton(confirmationNumber) {
+  function setupApplyButton(confirmationNumber, premium) {
     const applyBtn = document.querySelector('[data-plan-page="applyBtn"]');
     if (!applyBtn) {
       console.warn("Apply button not found");
@@ -224,13 +414,20 @@
     newBtn.addEventListener("click", async (e) => {
       e.preventDefault();
 
+      DPR.emit('apply-clicked', {
+        source: 'plan-page',
+        planName: getCurrentPlanName(),
+        premium,
+        confirmationNumber
+      });
+
       const originalText = newBtn.textContent;
       newBtn.disabled = true;
-      newBtn.textContent = "Loading...";
+      newBtn.textContent = DPR.t('loading', currentScript);
 
       try {
-        const url = await getApplicationUrl(confirmationNumber);
-        const finalUrl = decorateWithGtmAutoLinker(url);
+        const url = await DPR.getApplicationUrl(rootApiURL, confirmationNumber);
+        const finalUrl = DPR.decorateWithGtmAutoLinker(DPR.appendAttributionToUrl(url, handoffParams));
 
         // Short delay for GA hit to flush
         setTimeout(() => {
@@ -238,7 +435,8 @@
         }, 200);
       } catch (error) {
         console.error("Error getting application URL:", error);
-        newBtn.textContent = "Error – Try Again";
+        DPR.emit('apply-failed', { source: 'plan-page', planName: getCurrentPlanName(), error: error.message });
+        newBtn.textContent = DPR.t('applyError', currentScript);
         newBtn.disabled = false;
 
         // Reset button text after a delay
@@ -283,8 +481,7 @@
     // Populate text
     const textLine = checkboxWrapper.querySelector('[data-plan-page="hospitalText"]');
     if (textLine) {
-      const price = Math.round(parseFloat(hospitalOption.OptionPremium));
-      textLine.textContent = `${hospitalAccommodationText}${price}`;
+      textLine.textContent = DPR.formatPriceText(DPR.t('hospitalText', currentScript), hospitalOption.OptionPremium, priceFormat);
     }
 
     // Wire up checkbox
@@ -307,10 +504,17 @@
           newTotal += parseFloat(hospitalOption.OptionPremium);
         }
 
-        const displayPrice = Math.round(newTotal);
-        priceWrapper.textContent = `$${displayPrice}`;
+        const displayPrice = DPR.formatPrice(newTotal, priceFormat);
+        priceWrapper.textContent = displayPrice;
+
+        DPR.emit('hospital-toggled', {
+          source: 'plan-page',
+          planName: planData.PlanName,
+          checked: isChecked,
+          premium: newTotal
+        });
 
-        console.log(`Hospital accommodation ${isChecked ? 'added' : 'removed'}. New total: $${displayPrice}`);
+        console.log(`Hospital accommodation ${isChecked ? 'added' : 'removed'}. New total: ${displayPrice}`);
       });
     }
   }
@@ -321,8 +525,12 @@
 
   /**
    * Main function to populate plan page data
+   * Falls back to a fresh quote when sessionStorage has no results or they were
+   * quoted for inputs that have since changed
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Always request a fresh quote
    */
-  function populatePlanPage() {
+  async function populatePlanPage({ refresh = false } = {}) {
     console.log('Starting plan page population...');
 
     // Step 1: Get current plan name from page
@@ -334,8 +542,43 @@
 
     console.log(`Processing individual plan page for: ${currentPlanName}`);
 
-    // Step 2: Get plan data from dpr_results_data
-    const planData = getPlanData(currentPlanName);
+    // Step 2: Get plan data from dpr_results_data (or a fresh quote)
+    let resultsData = DPR.getResultsData();
+
+    if (refresh || !resultsData?.results?.PlanQuotes?.length) {
+      resultsData = await requestFreshQuote();
+    } else if (isQuoteStale(resultsData)) {
+      // Never show a premium for inputs the user no longer has
+      if (staleQuoteMode === 'prompt') {
+        showStaleQuotePrompt();
+        return;
+      }
+      resultsData = await requestFreshQuote();
+    }
+
+    // A newer population run (newer inputs) owns the page now
+    if (resultsData === SUPERSEDED) return;
+
+    // The user already asked for a price: offer a retry, not the quote form
+    if (resultsData === QUOTE_FAILED) {
+      showQuoteError();
+      return;
+    }
+
+    // Inputs changed while the quote was in flight: never show a premium for
+    // inputs the user no longer has
+    if (resultsData && DPR.getChangedQuoteFields(resultsData).length) {
+      console.warn('Quote inputs changed during the request - re-quoting');
+      populatePlanPage({ refresh: true });
+      return;
+    }
+
+    if (!resultsData) {
+      showGetPriceCta();
+      return;
+    }
+
+    const planData = getPlanData(currentPlanName, resultsData);
     if (!planData) {
       console.error("No matching plan found in results data");
       return;
@@ -343,7 +586,15 @@
 
     console.log("Found matching plan:", planData);
 
-    // Step 3: Get DOM elements
+    // Step 3: Skip the quote already on screen
+    const quebec = isQuebec();
+    const quoteKey = `${planData.ConfirmationNumber}:${planData.Premium}:${quebec}`;
+    if (quoteKey === renderedQuoteKey) {
+      console.log('Plan quote already displayed - skipping re-render');
+      return;
+    }
+
+    // Step 4: Get DOM elements
     const quoteWrapper = document.querySelector('[data-plan-page="quoteWrapper"]');
     const priceWrapper = document.querySelector('[data-plan-page="priceWrapper"]');
     const applyBtnWrapper = document.querySelector('[data-plan-page="applyBtnWrapper"]');
@@ -353,18 +604,19 @@
       return;
     }
 
-    // Step 4: Show quote section
+    // Step 5: Show quote section
+    hideGetPriceCta();
+    hideQuoteError();
+    hideStaleQuotePrompt();
     if (quoteWrapper) {
       quoteWrapper.classList.remove("hide");
     }
 
-    // Step 5: Set the price
-    const price = Math.round(parseFloat(planData.Premium));
-    priceWrapper.textContent = `$${price}`;
-
-    // Step 6: Check Province and set button visibility
-    const quebec = isQuebec();
+    // Step 6: Set the price
+    const price = DPR.formatPrice(planData.Premium, priceFormat);
+    priceWrapper.textContent = price;
 
+    // Step 7: Check Province and set button visibility
     if (quebec) {
       console.log('Quebec province - apply button hidden');
       setPlanButtonVisibility(true);
@@ -377,29 +629,252 @@
       setPlanButtonVisibility(false);
 
       // Setup the apply button
-      setupApplyButton(planData.ConfirmationNumber);
+      setupApplyButton(planData.ConfirmationNumber, planData.Premium);
     }
 
-    // Step 7: Setup hospital accommodation (if available in HTML)
+    // Step 8: Setup hospital accommodation (if available in HTML)
     setupHospitalAccommodation(planData, priceWrapper);
 
+    renderedQuoteKey = quoteKey;
+
     console.log(
-      `Plan page populated successfully for ${currentPlanName} - $${price}`
+      `Plan page populated successfully for ${currentPlanName} - ${price}`
     );
   }
 
+  // ============================================================
+  // QUOTE EDITOR MODAL
+  // ============================================================
+
+  /**
+   * Fill the quote editor from dpr_local_data and save the values shown
+   * so cancel/close can restore them
+   * @param {HTMLFormElement} formEl - The quote editor form
+   */
+  function saveModalFieldValues(formEl) {
+    const localData = DPR.getLocalStorageData() || {};
+    savedModalValues = {};
+
+    DPR.getFieldNames({ storage: 'local' }).forEach(fieldName => {
+      if (!formEl.elements[fieldName]) return;
+
+      if (localData[fieldName] !== undefined && localData[fieldName] !== null) {
+        DPR.setFieldValue(formEl, fieldName, localData[fieldName]);
+      }
+      savedModalValues[fieldName] = DPR.getFieldValue(formEl, fieldName);
+    });
+
+    console.log('Saved modal values:', savedModalValues);
+  }
+
+  /**
+   * Restore saved values to the quote editor when it is cancelled
+   * Storage is only written on submit, so nothing else needs undoing
+   * @param {HTMLFormElement} formEl - The quote editor form
+   */
+  function resetModalFieldValues(formEl) {
+    if (!savedModalValues) {
+      console.warn('No saved modal values to restore');
+      return;
+    }
+
+    console.log('Resetting modal values to:', savedModalValues);
+
+    Object.entries(savedModalValues).forEach(([fieldName, value]) => {
+      DPR.setFieldValue(formEl, fieldName, value);
+    });
+
+    // Clear saved values
+    savedModalValues = null;
+  }
+
+  /**
+   * Write the quote editor's values to dpr_local_data in one write, so other
+   * tabs see a single complete change instead of one per field
+   * @param {HTMLFormElement} formEl - The quote editor form
+   */
+  function saveModalFieldsToStorage(formEl) {
+    const changes = {};
+
+    DPR.getFieldNames({ storage: 'local' }).forEach(fieldName => {
+      if (!formEl.elements[fieldName]) return;
+      changes[fieldName] = DPR.getFieldValue(formEl, fieldName);
+    });
+
+    DPR.setLocalStorageData({ ...(DPR.getLocalStorageData() || {}), ...changes });
+  }
+
+  /**
+   * Handle quote modal close event
+   * Reset form values unless form was submitted
+   */
+  function handleQuoteModalClose() {
+    // If form was submitted, don't reset
+    if (isFormSubmitting) {
+      console.log('Form submitted - not resetting values');
+      isFormSubmitting = false; // Reset flag
+      return;
+    }
+
+    // Form was cancelled/closed - reset values
+    console.log('Modal closed without submission - resetting values');
+
+    const form = document.querySelector('[data-form-trigger="quote-form"]');
+    if (form) {
+      resetModalFieldValues(form);
+    }
+  }
+
+  /**
+   * Handle the quote editor's get-quote button
+   * Saves the edited inputs, re-quotes and updates this plan in place
+   */
+  async function handleModalButtonClick() {
+    const button = document.querySelector('[data-form-trigger="get-quote"]');
+    const modal = document.querySelector('[data-form-trigger="quote-modal"]');
+    const form = document.querySelector('[data-form-trigger="quote-form"]');
+
+    if (!button || !form) {
+      console.warn('Get quote button or quote form not found');
+      return;
+    }
+
+    // Step 1: Save original button state
+    const originalText = button.textContent;
+
+    // Step 2: Update button to loading state
+    button.textContent = DPR.t('loading', currentScript);
+    button.disabled = true;
+
+    try {
+      // Step 3: Persist the edited inputs, then re-quote from them
+      saveModalFieldsToStorage(form);
+      savedModalValues = null;
+      hideStaleQuotePrompt();
+
+      await populatePlanPage({ refresh: true });
+    } catch (error) {
+      console.error('Modal API call error:', error);
+    } finally {
+      // Step 4: Restore button state and close modal on both success and failure
+      button.textContent = originalText;
+      button.disabled = false;
+
+      if (modal && modal.close) {
+        modal.close();
+      }
+    }
+  }
+
+  /**
+   * Attach click listeners to quote editor trigger buttons and close event
+   * Uses the same [data-form-trigger] markup as the results page quote modal
+   */
+  function setupModalTriggerListeners() {
+    const modal = document.querySelector('[data-form-trigger="quote-modal"]');
+    const form = document.querySelector('[data-form-trigger="quote-form"]');
+
+    if (!modal) {
+      console.log('No quote modal found - skipping quote editor');
+      return;
+    }
+
+    // Handle modal open button
+    const openButton = document.querySelector('[data-form-trigger="open-quote-modal"]');
+    if (openButton) {
+      openButton.addEventListener('click', () => {
+        if (form) {
+          saveModalFieldValues(form);
+        } else {
+          console.warn('Quote form not found');
+        }
+      });
+    }
+
+    // Handle get-quote (submit) button - trigger API call
+    const submitButton = document.querySelector('[data-form-trigger="get-quote"]');
+    if (submitButton) {
+      submitButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        isFormSubmitting = true;
+        console.log('Form submit clicked - triggering API call');
+
+        await handleModalButtonClick();
+      });
+    }
+
+    // Handle cancel button - can keep for explicit cancel action
+    const cancelButton = document.querySelector('[data-form-trigger="cancel"]');
+    if (cancelButton) {
+      cancelButton.addEventListener('click', () => {
+        if (form) {
+          resetModalFieldValues(form);
+        }
+        // Note: Modal library will call dialog.close() which triggers close event
+      });
+    }
+
+    // Handle dialog close event (catches all close methods)
+    modal.addEventListener('close', handleQuoteModalClose);
+  }
+
   // ============================================================
   // INITIALIZATION
   // ============================================================
 
-  // Initialize when DOM is ready
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", populatePlanPage);
-  } else {
-    // DOM is already ready
+  /**
+   * Re-render when a script on this page saves dpr_results_data (dpr:results-updated)
+   * or quote inputs change in another tab (dpr:inputs-changed), where stale quote
+   * detection re-quotes or prompts. dpr_results_data is per-tab sessionStorage,
+   * so no other tab can change it. Both wait out DPR.CROSS_TAB_SYNC_DELAY so a burst
+   * of saves or keystrokes re-renders once, and keep the current quote while the
+   * quote inputs are incomplete
+   */
+  function setupResultsListeners() {
+    DPR.on('results-updated', () => {
+      clearTimeout(resultsUpdateTimer);
+      resultsUpdateTimer = setTimeout(() => {
+        if (!DPR.validateRequiredFields()) {
+          console.log('Quote inputs are incomplete - keeping the current quote');
+          return;
+        }
+
+        populatePlanPage();
+      }, DPR.CROSS_TAB_SYNC_DELAY);
+    }, { replay: false });
+
+    // Every quote input feeds the displayed premium, so any change re-renders
+    DPR.setupCrossTabSync({
+      onRequote: () => populatePlanPage(),
+      onResort: () => populatePlanPage()
+    });
+  }
+
+  /**
+   * Main initialization function (runs once)
+   */
+  function initialize() {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    // Setup stale quote "refresh price" triggers and the quote editor modal
+    setupRefreshPrice();
+    setupModalTriggerListeners();
+
+    // Re-render reactively instead of polling for results saved by other scripts
+    setupResultsListeners();
+
     populatePlanPage();
   }
 
-  // Also try after a short delay to ensure other scripts have loaded
-  setTimeout(populatePlanPage, 100);
+  // Initialize once the DPR core is loaded and the DOM is ready
+  window.DPR = window.DPR || [];
+  window.DPR.push(() => {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", initialize);
+    } else {
+      // DOM is already ready
+      initialize();
+    }
+  });
 })();
@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Load scripts (attribution-tracker.js without auto-init by default) into a fresh jsdom window
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL
+ * @param {string} [options.referrer] - document.referrer
+ * @param {string[]} [options.scripts] - Script paths relative to the repo root
+ * @param {Object} [options.attribution] - Seed for localStorage.visitor_attribution
+ * @param {Array[]} [options.dataLayer] - Seed for window.dataLayer (e.g. consent commands)
+ * @returns {Object} { window, close }
+ */
+function loadTracker({ url = 'https://example.com/', referrer, scripts = ['attribution-tracker.js'], attribution, dataLayer } = {}) {
+  const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+    url,
+    referrer,
+    runScripts: 'dangerously',
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+
+  if (attribution) window.localStorage.setItem('visitor_attribution', JSON.stringify(attribution));
+  if (dataLayer) window.dataLayer = dataLayer;
+
+  scripts.forEach(src => {
+    const el = window.document.createElement('script');
+    el.textContent = fs.readFileSync(path.join(ROOT, src), 'utf8');
+    window.document.body.appendChild(el);
+  });
+
+  return { window, close: () => window.close() };
+}
+
+/**
+ * Stored visitor_attribution record
+ * @param {Window} window
+ * @returns {Object|null}
+ */
+function storedAttribution(window) {
+  return JSON.parse(window.localStorage.getItem('visitor_attribution'));
+}
+
+test('attribution-tracker.js: custom parameters keep their configured case', async (t) => {
+  const page = loadTracker({ url: 'https://example.com/?partnerID=abc&gclid=g1' });
+  t.after(page.close);
+
+  const tracker = new page.window.AttributionTracker({ customParams: 'partnerID', requireConsent: false });
+  const data = await tracker.init();
+
+  assert.equal(data.partnerID, 'abc');
+  assert.equal(data.gclid, 'g1');
+  assert.equal(storedAttribution(page.window).partnerID, 'abc');
+});
+
+test('attribution-tracker.js: parameter names are matched case-sensitively', async (t) => {
+  const page = loadTracker({ url: 'https://example.com/?partnerid=abc' });
+  t.after(page.close);
+
+  const tracker = new page.window.AttributionTracker({ customParams: ['partnerID'], requireConsent: false });
+  const data = await tracker.init();
+
+  assert.equal(data.partnerID, null);
+});
+
+test('attribution-tracker.js: internal hosts are matched case-insensitively', async (t) => {
+  const page = loadTracker({ referrer: 'https://shop.partner.org/page' });
+  t.after(page.close);
+
+  const tracker = new page.window.AttributionTracker({ internalHosts: 'Partner.ORG', requireConsent: false });
+  const data = await tracker.init();
+
+  assert.deepEqual(Array.from(tracker.internalHosts), ['partner.org']);
+  assert.equal(data.channel, 'internal');
+});
+
+const STORED_ATTRIBUTION = { gclid: 'g1', channel: 'paid_search', timestamp: Date.now() };
+const CONSENT_DENIED = [['consent', 'default', { analytics_storage: 'denied' }]];
+
+test('attribution-tracker.js: consent already denied on load purges stored data', async (t) => {
+  const page = loadTracker({ attribution: STORED_ATTRIBUTION, dataLayer: CONSENT_DENIED });
+  t.after(page.close);
+
+  const tracker = new page.window.AttributionTracker();
+
+  assert.equal(storedAttribution(page.window), null);
+  assert.equal(tracker.hasConsent(), false);
+});
+
+test('attribution-tracker.js: consent not yet decided keeps stored data', async (t) => {
+  const page = loadTracker({ attribution: STORED_ATTRIBUTION });
+  t.after(page.close);
+
+  new page.window.AttributionTracker();
+
+  assert.equal(storedAttribution(page.window).gclid, 'g1');
+});
+
+test('attribution-tracker.js: nothing is collected before consent by default', async (t) => {
+  const page = loadTracker({ url: 'https://example.com/?gclid=g2' });
+  t.after(page.close);
+
+  const tracker = new page.window.AttributionTracker();
+  let initialized = false;
+  tracker.init().then(() => { initialized = true; });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(initialized, false);
+  assert.equal(storedAttribution(page.window), null);
+  assert.equal(tracker.hasConsent(), false);
+});
+
+test('attribution-tracker.js: a grant after a denial resumes the queued init', async (t) => {
+  const page = loadTracker({ url: 'https://example.com/?gclid=g2', attribution: STORED_ATTRIBUTION });
+  t.after(page.close);
+
+  page.window.dataLayer = [];
+  const tracker = new page.window.AttributionTracker();
+  const initialized = tracker.init();
+
+  page.window.dataLayer.push(['consent', 'update', { analytics_storage: 'denied' }]);
+  assert.equal(storedAttribution(page.window), null);
+
+  page.window.dataLayer.push(['consent', 'update', { analytics_storage: 'granted' }]);
+  const data = await initialized;
+
+  assert.equal(data.gclid, 'g2');
+  assert.equal(storedAttribution(page.window).gclid, 'g2');
+});
+
+test('dpr-core.js: getAttributionData is empty without a tracker when Consent Mode denies', async (t) => {
+  const page = loadTracker({ scripts: ['utilities/dpr-core.js'], attribution: STORED_ATTRIBUTION, dataLayer: CONSENT_DENIED });
+  t.after(page.close);
+
+  assert.deepEqual({ ...page.window.DPR.getAttributionData() }, {});
+
+  page.window.dataLayer.push(['consent', 'update', { analytics_storage: 'granted' }]);
+  assert.equal(page.window.DPR.getAttributionData().gclid, 'g1');
+});
+
+test('attribution-tracker.js: custom parameters added to the config are tracked for returning visitors', async (t) => {
+  const page = loadTracker({
+    url: 'https://example.com/?partnerID=xyz',
+    scripts: ['utilities/dpr-core.js', 'attribution-tracker.js'],
+    attribution: { ...STORED_ATTRIBUTION, tracked_params: ['gclid', 'utm_source'] }
+  });
+  t.after(page.close);
+  page.window.localStorage.setItem('dpr_local_data', JSON.stringify({ CoverageType: '0', Age: '30', Province: '5' }));
+
+  const tracker = new page.window.AttributionTracker({ customParams: 'partnerID', requireConsent: false });
+  await tracker.init();
+
+  assert.ok(storedAttribution(page.window).tracked_params.includes('partnerID'));
+
+  // Live tracker config: the custom parameter is forwarded, last touch included
+  page.window.attributionTracker = tracker;
+  const payload = page.window.DPR.buildPayload();
+  assert.equal(payload.partnerID, null);
+  assert.equal(payload.last_partnerID, 'xyz');
+
+  // Without a tracker on the page, the refreshed tracked_params is used
+  delete page.window.attributionTracker;
+  assert.equal(page.window.DPR.buildPayload().last_partnerID, 'xyz');
+});
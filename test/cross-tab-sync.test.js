@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, changeInputsInAnotherTab, BASE_LOCAL_DATA } = require('./helpers/page');
+
+/**
+ * Wait longer than the results pages' cross-tab quiet period
+ * @returns {Promise<void>}
+ */
+function waitForSyncDelay() {
+  return new Promise(resolve => setTimeout(resolve, 500));
+}
+
+/**
+ * Number of dpr:quote-requested events so far
+ * @param {Object} page - Result of loadPage()
+ * @returns {number}
+ */
+function quoteRequests(page) {
+  return page.events.filter(event => event.name === 'quote-requested').length;
+}
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  test(`${script}: typing in another tab re-quotes once`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    changeInputsInAnotherTab(page, { Age: '4' });
+    changeInputsInAnotherTab(page, { Age: '45' });
+    assert.equal(quoteRequests(page), 1);
+
+    await waitFor(() => quoteRequests(page) === 2);
+    await waitForSyncDelay();
+
+    assert.equal(quoteRequests(page), 2);
+    assert.equal(page.document.querySelector('[name="Age"]').value, '45');
+  });
+
+  test(`${script}: a required field cleared in another tab neither re-quotes nor redirects`, async (t) => {
+    const page = loadPage({ script, attrs: { 'data-redirect-url': '/get-a-quote' }, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    changeInputsInAnotherTab(page, { Age: '' });
+    await waitForSyncDelay();
+
+    assert.deepEqual(page.navigations, []);
+    assert.equal(quoteRequests(page), 1);
+
+    changeInputsInAnotherTab(page, { Age: '50' });
+    await waitFor(() => quoteRequests(page) === 2);
+  });
+
+  test(`${script}: quote modal edits reach storage only on "Get Quote"`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    const { document, window } = page;
+    const storedAge = () => JSON.parse(window.localStorage.getItem('dpr_local_data')).Age;
+    const ageInput = document.querySelector('[data-form-trigger="quote-form"] [name="Age"]');
+
+    document.querySelector('[data-form-trigger="open-quote-modal"]').click();
+    ageInput.value = '52';
+    ageInput.dispatchEvent(new window.Event('input'));
+
+    assert.equal(storedAge(), '30');
+
+    document.querySelector('[data-form-trigger="get-quote"]').click();
+
+    await waitFor(() => quoteRequests(page) === 2);
+    assert.equal(storedAge(), '52');
+  });
+
+  test(`${script}: cancelled quote modal edits never reach storage`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    const { document, window } = page;
+    const ageInput = document.querySelector('[data-form-trigger="quote-form"] [name="Age"]');
+
+    document.querySelector('[data-form-trigger="open-quote-modal"]').click();
+    ageInput.value = '52';
+    ageInput.dispatchEvent(new window.Event('input'));
+    document.querySelector('[data-form-trigger="cancel"]').click();
+
+    assert.equal(ageInput.value, '30');
+    assert.equal(JSON.parse(window.localStorage.getItem('dpr_local_data')).Age, '30');
+  });
+}
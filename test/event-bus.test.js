@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+/**
+ * Wait for pending setTimeout(0) callbacks in the page
+ * @param {Window} window
+ * @returns {Promise<void>}
+ */
+function nextTick(window) {
+  return new Promise(resolve => window.setTimeout(resolve, 10));
+}
+
+test('dpr-core.js: a late subscriber gets the last emission replayed', async (t) => {
+  const page = loadPage({ script: [] });
+  t.after(page.close);
+
+  const { DPR } = page.window;
+  DPR.emit('quote-loaded', { source: 'test', planCount: 1 });
+
+  const received = [];
+  DPR.on('quote-loaded', detail => received.push(detail.planCount));
+  assert.deepEqual(received, []);
+
+  await nextTick(page.window);
+  assert.deepEqual(received, [1]);
+});
+
+test('dpr-core.js: an emission before the replay runs cancels the stale replay', async (t) => {
+  const page = loadPage({ script: [] });
+  t.after(page.close);
+
+  const { DPR } = page.window;
+  DPR.emit('quote-loaded', { source: 'test', planCount: 1 });
+
+  const received = [];
+  const onceReceived = [];
+  DPR.on('quote-loaded', detail => received.push(detail.planCount));
+  DPR.on('quote-loaded', detail => onceReceived.push(detail.planCount), { once: true });
+  DPR.emit('quote-loaded', { source: 'test', planCount: 2 });
+
+  await nextTick(page.window);
+  assert.deepEqual(received, [2]);
+  assert.deepEqual(onceReceived, [2]);
+});
+
+test('dpr-core.js: unsubscribing before the replay runs skips it', async (t) => {
+  const page = loadPage({ script: [] });
+  t.after(page.close);
+
+  const { DPR } = page.window;
+  DPR.emit('quote-loaded', { source: 'test', planCount: 1 });
+
+  const received = [];
+  const unsubscribe = DPR.on('quote-loaded', detail => received.push(detail.planCount), { once: true });
+  unsubscribe();
+
+  await nextTick(page.window);
+  assert.deepEqual(received, []);
+});
@@ -0,0 +1,227 @@
+/*
+ * ------------------------------------------------------------
+ *  Test page loader
+ * ------------------------------------------------------------
+ *
+ *  Loads utilities/dpr-core.js (data-mock="true"), utilities/dpr-mock.js
+ *  and a page script into a fresh jsdom window, the way Webflow pages
+ *  include them. Quote calls are answered by the dpr-mock.js fixtures;
+ *  window.fetch is stubbed to fail so nothing reaches the network.
+ *
+ * ------------------------------------------------------------
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Plan items rendered by the Webflow results template (dpr-mock.js PLAN_FIXTURES names)
+const PLAN_NAMES = [
+  'ZONE FUNDAMENTAL PLAN', 'ZONE 2', 'ZONE 3', 'ZONE 4', 'ZONE 5', 'ZONE 6', 'ZONE 7',
+  'LINK 1', 'LINK 2', 'LINK 3', 'LINK 4'
+];
+
+// Quote inputs of a 30-year-old single applicant (the fixtures' base premiums)
+const BASE_LOCAL_DATA = {
+  CoverageType: '0',
+  Dependents: '0',
+  Age: '30',
+  Province: '5',
+  CoverageTier: 'basic',
+  InsuranceReason: '0',
+  PreExisting: 'no'
+};
+
+/**
+ * Build results page markup: one [dpr-results-plan] item per plan, plus
+ * the quote modal, error bar and skeleton targets the scripts look for
+ * @returns {string} HTML for <body>
+ */
+function resultsMarkup() {
+  const plans = PLAN_NAMES.map(planName => `
+    <div dpr-results-plan="${planName}">
+      <div dpr-code-skeleton>
+        <div data-results="dynamic-block">
+          <span dpr-results-price="price"></span>
+          <div dpr-quote-hospital="checkbox-wrapper">
+            <input type="checkbox" dpr-quote-hospital="check-trigger">
+            <span dpr-quote-hospital="text-line"></span>
+          </div>
+          <a href="#" dpr-results-apply="button">Apply Now</a>
+          <a href="#" dpr-results-quebec="call">Call</a>
+        </div>
+      </div>
+    </div>`).join('');
+
+  return `
+    <div dpr-results="error-bar" style="display: none">Something went wrong</div>
+    <div class="plans">${plans}</div>
+    <button data-form-trigger="open-quote-modal">Edit quote</button>
+    <dialog data-form-trigger="quote-modal">
+      <form data-form-trigger="quote-form">
+        <input type="text" name="Age">
+        <input type="text" name="Dependents">
+        <select name="Province"><option value=""></option><option value="5">ON</option><option value="10">QC</option></select>
+        <input type="text" name="FirstName">
+        <label><input type="radio" name="plans" value="suggested">Suggested</label>
+        <label><input type="radio" name="plans" value="all">All</label>
+      </form>
+      <button data-form-trigger="get-quote">Get Quote</button>
+      <button data-form-trigger="cancel">Cancel</button>
+    </dialog>
+    <button data-form-update>Update</button>`;
+}
+
+/**
+ * Load a page script into a fresh jsdom window
+ * @param {Object} options
+ * @param {string|string[]} options.script - Page script path(s) relative to the repo root, in load order
+ * @param {Object} [options.attrs] - Attributes for the page script tag(s)
+ * @param {Object} [options.mock] - Attributes for dpr-mock.js (latency defaults to 0)
+ * @param {string} [options.url] - Page URL
+ * @param {string} [options.body] - Body markup (defaults to resultsMarkup())
+ * @param {Object} [options.local] - Seed for localStorage.dpr_local_data
+ * @param {Object} [options.session] - Seed for sessionStorage.dpr_session_data
+ * @returns {Object} { window, document, navigations, events, logs, close }
+ */
+function loadPage({ script, attrs = {}, mock = {}, url = 'https://example.com/results', body = resultsMarkup(), local, session } = {}) {
+  const navigations = [];
+  const logs = [];
+
+  // jsdom reports `location.href = ...` as a "not implemented" navigation error
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => {
+    if (/navigation/i.test(error.message)) {
+      navigations.push(error.message);
+    } else {
+      logs.push(['jsdomError', error.message]);
+    }
+  });
+  ['log', 'warn', 'error'].forEach(level => {
+    virtualConsole.on(level, (...args) => logs.push([level, args.map(String).join(' ')]));
+  });
+
+  const dom = new JSDOM(`<!doctype html><html lang="en"><head></head><body>${body}</body></html>`, {
+    url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+
+  window.fetch = () => Promise.reject(new Error('Unexpected network request in tests'));
+
+  // Browser globals jsdom does not provide (used by resume-link tokens)
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+
+  if (local) window.localStorage.setItem('dpr_local_data', JSON.stringify(local));
+  if (session) window.sessionStorage.setItem('dpr_session_data', JSON.stringify(session));
+
+  // Record every dpr:* lifecycle event in order
+  const events = [];
+  const record = window.dispatchEvent.bind(window);
+  window.dispatchEvent = event => {
+    if (event.type.startsWith('dpr:')) events.push({ name: event.type.slice(4), detail: event.detail });
+    return record(event);
+  };
+
+  const scripts = [
+    { src: 'utilities/dpr-core.js', attrs: { 'data-mock': 'true' } },
+    { src: 'utilities/dpr-mock.js', attrs: { 'data-mock-latency': '0', ...mock } },
+    ...[].concat(script).map(src => ({ src, attrs }))
+  ];
+
+  scripts.forEach(({ src, attrs: scriptAttrs }) => {
+    const el = window.document.createElement('script');
+    Object.entries(scriptAttrs).forEach(([name, value]) => el.setAttribute(name, value));
+    el.textContent = fs.readFileSync(path.join(ROOT, src), 'utf8');
+    window.document.body.appendChild(el);
+  });
+
+  return {
+    window,
+    document: window.document,
+    navigations,
+    events,
+    logs,
+    close: () => window.close()
+  };
+}
+
+/**
+ * Wait until a condition holds (polls every 5ms)
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} [timeout=2000] - Max wait in ms
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error(`Condition not met within ${timeout}ms: ${condition}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Wait for a dpr:* lifecycle event to have been emitted
+ * @param {Object} page - Result of loadPage()
+ * @param {string} name - Event name without the prefix
+ * @returns {Promise<Object>} The event's detail
+ */
+async function waitForEvent(page, name) {
+  await waitFor(() => page.events.some(event => event.name === name));
+  return page.events.find(event => event.name === name).detail;
+}
+
+/**
+ * Write quote inputs as another tab would, then relay them like the core's
+ * storage listener (jsdom does not fire storage events across windows)
+ * @param {Object} page - Result of loadPage()
+ * @param {Object} changes - Fields to change in dpr_local_data
+ */
+function changeInputsInAnotherTab(page, changes) {
+  const localData = { ...JSON.parse(page.window.localStorage.getItem('dpr_local_data')), ...changes };
+  page.window.localStorage.setItem('dpr_local_data', JSON.stringify(localData));
+  page.window.DPR.emit('inputs-changed', { source: 'dpr-core', changedFields: Object.keys(changes), localData });
+}
+
+/**
+ * Plan names in DOM order
+ * @param {Document} document
+ * @param {Object} [options]
+ * @param {boolean} [options.visibleOnly=false] - Skip plans hidden with display: none
+ * @returns {string[]}
+ */
+function planOrder(document, { visibleOnly = false } = {}) {
+  return Array.from(document.querySelectorAll('[dpr-results-plan]'))
+    .filter(el => !visibleOnly || el.style.display !== 'none')
+    .map(el => el.getAttribute('dpr-results-plan'));
+}
+
+/**
+ * Plan item element by name
+ * @param {Document} document
+ * @param {string} planName
+ * @returns {HTMLElement}
+ */
+function planItem(document, planName) {
+  return document.querySelector(`[dpr-results-plan="${planName}"]`);
+}
+
+module.exports = {
+  PLAN_NAMES,
+  BASE_LOCAL_DATA,
+  resultsMarkup,
+  loadPage,
+  waitFor,
+  waitForEvent,
+  changeInputsInAnotherTab,
+  planOrder,
+  planItem
+};
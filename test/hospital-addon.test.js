@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitForEvent, planItem, BASE_LOCAL_DATA } = require('./helpers/page');
+
+// dpr-mock.js fixtures: ZONE 5 is 96.20 with a 6.15 hospital option at age 30,
+// both scaled by 1 + (Age - 30) * 2.5%
+
+/**
+ * Toggle a plan's hospital accommodation checkbox
+ * @param {Object} page - Result of loadPage()
+ * @param {string} planName
+ * @param {boolean} checked
+ */
+function toggleHospital(page, planName, checked) {
+  const checkbox = planItem(page.document, planName).querySelector('[dpr-quote-hospital="check-trigger"]');
+  checkbox.checked = checked;
+  checkbox.dispatchEvent(new page.window.Event('change'));
+}
+
+/**
+ * Displayed price of a plan
+ * @param {Object} page - Result of loadPage()
+ * @param {string} planName
+ * @returns {string}
+ */
+function priceText(page, planName) {
+  return planItem(page.document, planName).querySelector('[dpr-results-price="price"]').textContent;
+}
+
+/**
+ * Wait until the page has rendered its plan prices
+ * @param {Object} page - Result of loadPage()
+ * @param {string} script
+ * @returns {Promise<void>}
+ */
+async function waitForPrices(page, script) {
+  await waitForEvent(page, script === 'plan-card-display.js' ? 'plans-populated' : 'quote-loaded');
+}
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js', 'plan-card-display.js']) {
+  test(`${script}: hospital checkbox adds and removes the option premium`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForPrices(page, script);
+
+    assert.equal(priceText(page, 'ZONE 5'), '96');
+
+    toggleHospital(page, 'ZONE 5', true);
+    assert.equal(priceText(page, 'ZONE 5'), '102');
+
+    const toggled = page.events.filter(event => event.name === 'hospital-toggled');
+    assert.equal(toggled.length, 1);
+    assert.equal(toggled[0].detail.planName, 'ZONE 5');
+    assert.equal(toggled[0].detail.checked, true);
+    assert.equal(Math.round(toggled[0].detail.premium * 100), 10235);
+
+    toggleHospital(page, 'ZONE 5', false);
+    assert.equal(priceText(page, 'ZONE 5'), '96');
+  });
+
+  test(`${script}: hospital total keeps cents with data-price-cents="always"`, async (t) => {
+    const page = loadPage({
+      script,
+      attrs: { 'data-price-cents': 'always' },
+      local: { ...BASE_LOCAL_DATA, Age: '40' }
+    });
+    t.after(page.close);
+
+    await waitForPrices(page, script);
+
+    // 96.20 * 1.25 = 120.25; 6.15 * 1.25 = 7.69 (rounded by the fixture)
+    assert.equal(priceText(page, 'ZONE 5'), '120.25');
+
+    toggleHospital(page, 'ZONE 5', true);
+    assert.equal(priceText(page, 'ZONE 5'), '127.94');
+  });
+
+  test(`${script}: hides the hospital checkbox for plans without the option`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForPrices(page, script);
+
+    const wrapper = name => planItem(page.document, name).querySelector('[dpr-quote-hospital="checkbox-wrapper"]');
+    assert.equal(wrapper('ZONE FUNDAMENTAL PLAN').style.display, 'none');
+    assert.notEqual(wrapper('ZONE 5').style.display, 'none');
+  });
+
+  test(`${script}: hospital text places the price with its symbol once`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForPrices(page, script);
+
+    const textLine = planItem(page.document, 'ZONE 5').querySelector('[dpr-quote-hospital="text-line"]');
+    assert.equal(textLine.textContent, 'Add optional hospital accommodation for $6');
+  });
+}
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, BASE_LOCAL_DATA } = require('./helpers/page');
+
+/**
+ * Number of skeleton loaders currently on the page
+ * @param {Object} page - Result of loadPage()
+ * @returns {number}
+ */
+function skeletonCount(page) {
+  return page.document.querySelectorAll('.skeleton-loader').length;
+}
+
+/**
+ * Display values of every [data-results="dynamic-block"]
+ * @param {Object} page - Result of loadPage()
+ * @returns {string[]}
+ */
+function dynamicBlockDisplays(page) {
+  return Array.from(page.document.querySelectorAll('[data-results="dynamic-block"]'), block => block.style.display);
+}
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js', 'plan-card-display.js']) {
+  test(`${script}: shows skeleton loaders while quoting and removes them after`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA, mock: { 'data-mock-latency': '100' } });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-requested');
+    assert.equal(skeletonCount(page), page.document.querySelectorAll('[dpr-code-skeleton]').length);
+
+    await waitForEvent(page, 'quote-loaded');
+    await waitFor(() => skeletonCount(page) === 0);
+    assert.ok(dynamicBlockDisplays(page).every(display => display !== 'none'));
+  });
+
+  test(`${script}: hides dynamic blocks when the quote API fails`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA, mock: { 'data-mock-error': '400' } });
+    t.after(page.close);
+
+    const detail = await waitForEvent(page, 'quote-failed');
+    assert.equal(detail.status, 400);
+
+    await waitFor(() => skeletonCount(page) === 0);
+    assert.ok(dynamicBlockDisplays(page).every(display => display === 'none'));
+  });
+}
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  test(`${script}: shows the error bar on failure and "Try again" recovers`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA, mock: { 'data-mock-error': '400' } });
+    t.after(page.close);
+
+    const errorBar = page.document.querySelector('[dpr-results="error-bar"]');
+
+    await waitForEvent(page, 'quote-failed');
+    await waitFor(() => errorBar.style.display === 'block');
+
+    page.window.DPRMock.configure({ error: '' });
+    errorBar.querySelector('[dpr-results="error-retry"]').click();
+
+    await waitForEvent(page, 'quote-loaded');
+    await waitFor(() => errorBar.style.display === 'none');
+    assert.ok(dynamicBlockDisplays(page).every(display => display !== 'none'));
+  });
+
+  test(`${script}: retries 5xx responses before showing prices`, async (t) => {
+    const page = loadPage({
+      script,
+      attrs: { 'data-retry-count': '2' },
+      local: BASE_LOCAL_DATA,
+      mock: { 'data-mock-error': '503', 'data-mock-error-count': '2' }
+    });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    const errorBar = page.document.querySelector('[dpr-results="error-bar"]');
+    assert.notEqual(errorBar.style.display, 'block');
+    assert.equal(page.events.some(event => event.name === 'quote-failed'), false);
+  });
+}
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, changeInputsInAnotherTab, planItem, resultsMarkup, BASE_LOCAL_DATA } = require('./helpers/page');
+
+/**
+ * Displayed price of a plan card
+ * @param {Element} card - [dpr-results-plan] element
+ * @returns {string}
+ */
+function cardPrice(card) {
+  return card.querySelector('[dpr-results-price="price"]').textContent;
+}
+
+/**
+ * Recorded events with the given name
+ * @param {Object} page - Result of loadPage()
+ * @param {string} name - Event name without the prefix
+ * @returns {Object[]}
+ */
+function eventsNamed(page, name) {
+  return page.events.filter(event => event.name === name);
+}
+
+test('plan-card-display.js: newer inputs abort the in-flight quote and only their prices render', async (t) => {
+  // Longer than the cross-tab quiet period, so the first quote is still in flight
+  const page = loadPage({ script: 'plan-card-display.js', local: BASE_LOCAL_DATA, mock: { 'data-mock-latency': '600' } });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-requested');
+  changeInputsInAnotherTab(page, { Age: '40' });
+
+  await waitForEvent(page, 'plans-populated');
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  assert.equal(cardPrice(planItem(page.document, 'ZONE 5')), '120');
+  assert.equal(eventsNamed(page, 'quote-loaded').length, 1);
+  assert.equal(eventsNamed(page, 'plans-populated').length, 1);
+  assert.equal(page.window.DPR.getResultsData().dpr_local_storage.Age, '40');
+  assert.equal(page.document.querySelectorAll('.skeleton-loader').length, 0);
+});
+
+test('plan-card-display.js: typing in another tab re-quotes once', async (t) => {
+  const page = loadPage({ script: 'plan-card-display.js', local: BASE_LOCAL_DATA });
+  t.after(page.close);
+
+  await waitForEvent(page, 'plans-populated');
+
+  changeInputsInAnotherTab(page, { Age: '4' });
+  changeInputsInAnotherTab(page, { Age: '40' });
+
+  await waitFor(() => eventsNamed(page, 'plans-populated').length === 2);
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  assert.equal(eventsNamed(page, 'quote-requested').length, 2);
+  assert.equal(cardPrice(planItem(page.document, 'ZONE 5')), '120');
+});
+
+test('plan-card-display.js: removed inputs in another tab keep the prices and only plans falls back to "all"', async (t) => {
+  const page = loadPage({ script: 'plan-card-display.js', local: { ...BASE_LOCAL_DATA, plans: 'suggested' } });
+  t.after(page.close);
+
+  await waitForEvent(page, 'plans-populated');
+
+  const { window, document } = page;
+  const { Age, plans, ...remaining } = JSON.parse(window.localStorage.getItem('dpr_local_data'));
+  window.localStorage.setItem('dpr_local_data', JSON.stringify(remaining));
+  window.DPR.emit('inputs-changed', { source: 'dpr-core', changedFields: ['Age', 'plans'], localData: remaining });
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  assert.equal(document.querySelector('[name="Age"]').value, '');
+  assert.equal(document.querySelector('[name="plans"][value="all"]').checked, true);
+  assert.equal(eventsNamed(page, 'quote-requested').length, 1);
+  assert.equal(cardPrice(planItem(document, 'ZONE 5')), '96');
+  assert.equal(page.navigations.length, 0);
+});
+
+test('plan-injector.js: injected clones follow every plans-populated', async (t) => {
+  const body = resultsMarkup().replace('<div class="plans">', '<div class="plans" dpr-plan-injector-source>') +
+    '<div dpr-plan-injector="ZONE 5" id="injected"></div>';
+  const page = loadPage({
+    script: ['plan-card-display.js', 'utilities/plan-injector.js'],
+    body,
+    local: BASE_LOCAL_DATA
+  });
+  t.after(page.close);
+
+  const target = page.document.getElementById('injected');
+  const injectedCards = () => target.querySelectorAll('[dpr-results-plan="ZONE 5"]');
+
+  await waitFor(() => injectedCards().length === 1 && cardPrice(injectedCards()[0]) === '96');
+
+  changeInputsInAnotherTab(page, { Age: '40' });
+
+  await waitFor(() => eventsNamed(page, 'plans-populated').length === 2);
+  await waitFor(() => cardPrice(injectedCards()[0]) === '120');
+  assert.equal(injectedCards().length, 1);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, planOrder, resultsMarkup, BASE_LOCAL_DATA } = require('./helpers/page');
+
+/**
+ * Upper-case top-3 plan names the dpr-mock.js FilterScenarios fixture recommends
+ * @param {Object} page - Result of loadPage()
+ * @param {string} coverOption - 'DentalDrug' | 'Drug' | 'Dental'
+ * @param {string} coverageLevel - 'Basic' | 'Comprehensive'
+ * @returns {string[]}
+ */
+function scenarioTopPlans(page, coverOption, coverageLevel) {
+  const scenario = page.window.DPRMock.FILTER_SCENARIOS.find(({ criteria }) =>
+    criteria.coverOption === coverOption && criteria.coverageLevel === coverageLevel
+  );
+  // Copy into this realm: arrays built in the jsdom window fail deepStrictEqual
+  return Array.from(scenario.recommendations, ({ planName }) => planName.toUpperCase());
+}
+
+const SCENARIOS = [
+  { InsuranceReason: '0', CoverageTier: 'basic', coverOption: 'DentalDrug', coverageLevel: 'Basic' },
+  { InsuranceReason: '1', CoverageTier: 'comprehensive', coverOption: 'Drug', coverageLevel: 'Comprehensive' },
+  { InsuranceReason: '2', CoverageTier: 'comprehensive', coverOption: 'Dental', coverageLevel: 'Comprehensive' }
+];
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  for (const { InsuranceReason, CoverageTier, coverOption, coverageLevel } of SCENARIOS) {
+    test(`${script}: suggested mode shows the FilterScenarios top 3 for ${coverOption}/${coverageLevel}`, async (t) => {
+      const page = loadPage({ script, local: { ...BASE_LOCAL_DATA, InsuranceReason, CoverageTier } });
+      t.after(page.close);
+
+      await waitForEvent(page, 'plans-reordered');
+
+      const expected = scenarioTopPlans(page, coverOption, coverageLevel);
+      assert.deepEqual(planOrder(page.document).slice(0, 3), expected);
+      assert.deepEqual(planOrder(page.document, { visibleOnly: true }), expected);
+    });
+  }
+
+  test(`${script}: "all" mode keeps the top 3 first and shows every plan`, async (t) => {
+    const page = loadPage({ script, local: { ...BASE_LOCAL_DATA, plans: 'all' } });
+    t.after(page.close);
+
+    await waitForEvent(page, 'plans-reordered');
+
+    assert.deepEqual(planOrder(page.document).slice(0, 3), scenarioTopPlans(page, 'DentalDrug', 'Basic'));
+    assert.equal(planOrder(page.document, { visibleOnly: true }).length, planOrder(page.document).length);
+  });
+}
+
+test('dpr-results-2.js: the filter form re-quotes and orders by Recommendation', async (t) => {
+  const { CoverageTier, InsuranceReason, PreExisting, ...coreData } = BASE_LOCAL_DATA;
+  const page = loadPage({
+    script: 'dpr-results-2.js',
+    body: `${resultsMarkup()}<input type="text" name="CoverageTier">`,
+    local: coreData
+  });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-loaded');
+
+  const button = page.document.querySelector('[data-form-update]');
+  assert.equal(button.disabled, true);
+
+  // Answer the filter questions, then submit the filter form
+  page.window.localStorage.setItem('dpr_local_data', JSON.stringify({
+    ...coreData,
+    InsuranceReason: '1',
+    CoverageTier: 'basic',
+    PreExisting: 'no'
+  }));
+  page.document.querySelector('[name="CoverageTier"]').dispatchEvent(new page.window.Event('change'));
+  assert.equal(button.disabled, false);
+
+  page.events.length = 0;
+  button.click();
+
+  await waitFor(() => page.events.some(event => event.name === 'plans-reordered' && event.detail.mode === 'suggested'));
+
+  const planQuotes = page.window.DPR.getResultsData().results.PlanQuotes;
+  const byRecommendation = Array.from(planQuotes)
+    .filter(plan => plan.Recommendation >= 1 && plan.Recommendation <= 3)
+    .sort((a, b) => a.Recommendation - b.Recommendation)
+    .map(plan => plan.PlanName);
+
+  assert.deepEqual(byRecommendation, scenarioTopPlans(page, 'Drug', 'Basic'));
+  assert.deepEqual(planOrder(page.document, { visibleOnly: true }), byRecommendation);
+});
+
+test('plan-card-display.js: static filter scenario plans move first, all stay visible', async (t) => {
+  const page = loadPage({
+    script: 'plan-card-display.js',
+    local: { ...BASE_LOCAL_DATA, InsuranceReason: '1', CoverageTier: 'basic' }
+  });
+  t.after(page.close);
+
+  await waitForEvent(page, 'plans-populated');
+
+  // '1:basic' static scenario, in the template's DOM order
+  assert.deepEqual(planOrder(page.document).slice(0, 4), ['ZONE FUNDAMENTAL PLAN', 'ZONE 4', 'LINK 1', 'LINK 2']);
+  assert.equal(planOrder(page.document, { visibleOnly: true }).length, planOrder(page.document).length);
+});
+
+test('plan-card-display.js: data-filter-style="limit" hides plans outside the filter', async (t) => {
+  const page = loadPage({
+    script: 'plan-card-display.js',
+    attrs: { 'data-filter-style': 'limit' },
+    local: { ...BASE_LOCAL_DATA, InsuranceReason: '1', CoverageTier: 'basic' }
+  });
+  t.after(page.close);
+
+  await waitForEvent(page, 'plans-populated');
+
+  assert.deepEqual(planOrder(page.document, { visibleOnly: true }), ['ZONE FUNDAMENTAL PLAN', 'ZONE 4', 'LINK 1', 'LINK 2']);
+});
@@ -0,0 +1,209 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, changeInputsInAnotherTab, BASE_LOCAL_DATA } = require('./helpers/page');
+
+/**
+ * Build plan page markup for one plan (no cached results on load)
+ * @param {string} planName
+ * @returns {string} HTML for <body>
+ */
+function planPageMarkup(planName) {
+  return `
+    <div data-plan-page-name="${planName}"></div>
+    <div data-plan-page="getPriceCta" style="display: none">Get your price</div>
+    <div data-plan-page="quoteError" style="display: none">We could not load your price</div>
+    <div data-plan-page="quoteWrapper" class="hide">
+      <div dpr-code-skeleton><span data-plan-page="priceWrapper"></span></div>
+      <div data-plan-page="applyBtnWrapper" class="hide"><a href="#" data-plan-page="applyBtn">Apply</a></div>
+      <a href="#" data-plan-page="quebecCall" style="display: none">Call us</a>
+    </div>
+    <button data-form-trigger="open-quote-modal">Edit quote</button>
+    <dialog data-form-trigger="quote-modal">
+      <form data-form-trigger="quote-form">
+        <input type="text" name="Age">
+        <input type="text" name="Dependents">
+        <input type="text" name="Province">
+      </form>
+      <button data-form-trigger="get-quote">Get Quote</button>
+      <button data-form-trigger="cancel">Cancel</button>
+    </dialog>`;
+}
+
+/**
+ * Load plan-page.js for ZONE 5
+ * @param {Object} [options] - loadPage() options
+ * @returns {Object} Result of loadPage()
+ */
+function loadPlanPage(options = {}) {
+  return loadPage({
+    script: 'plan-page.js',
+    url: 'https://example.com/plans/zone-5',
+    body: planPageMarkup('ZONE 5'),
+    local: BASE_LOCAL_DATA,
+    ...options
+  });
+}
+
+/**
+ * Displayed plan price
+ * @param {Object} page - Result of loadPage()
+ * @returns {string}
+ */
+function priceText(page) {
+  return page.document.querySelector('[data-plan-page="priceWrapper"]').textContent;
+}
+
+test('plan-page.js: missing quote inputs show the get-your-price CTA', async (t) => {
+  const { Age, ...incomplete } = BASE_LOCAL_DATA;
+  const page = loadPlanPage({ local: incomplete });
+  t.after(page.close);
+
+  const { document } = page;
+  await waitFor(() => document.querySelector('[data-plan-page="getPriceCta"]').style.display === 'block');
+
+  assert.notEqual(document.querySelector('[data-plan-page="quoteError"]').style.display, 'block');
+  assert.equal(page.events.filter(event => event.name === 'quote-requested').length, 0);
+});
+
+test('plan-page.js: a failed fresh quote shows the error with a working retry, not the CTA', async (t) => {
+  const page = loadPlanPage({ mock: { 'data-mock-error': '503', 'data-mock-error-count': '3' } });
+  t.after(page.close);
+
+  const { document } = page;
+  const quoteError = document.querySelector('[data-plan-page="quoteError"]');
+
+  await waitForEvent(page, 'quote-failed');
+  await waitFor(() => quoteError.style.display === 'block');
+  assert.notEqual(document.querySelector('[data-plan-page="getPriceCta"]').style.display, 'block');
+
+  const retry = quoteError.querySelector('[data-plan-page="refreshPrice"]');
+  assert.equal(retry.textContent, 'Try again');
+  retry.click();
+
+  await waitFor(() => priceText(page) === '$96');
+  assert.equal(quoteError.style.display, 'none');
+});
+
+test('plan-page.js: a failed fresh quote is retried when inputs change', async (t) => {
+  const page = loadPlanPage({ mock: { 'data-mock-error': '400', 'data-mock-error-count': '1' } });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-failed');
+  await waitFor(() => page.document.querySelector('[data-plan-page="quoteError"]').style.display === 'block');
+
+  changeInputsInAnotherTab(page, { Age: '40' });
+
+  await waitFor(() => priceText(page) === '$120');
+  assert.equal(page.events.filter(event => event.name === 'quote-requested').length, 2);
+});
+
+test('plan-page.js: newer inputs abort the in-flight quote and only their premium renders', async (t) => {
+  // Longer than the cross-tab quiet period, so the first quote is still in flight
+  const page = loadPlanPage({ mock: { 'data-mock-latency': '600' } });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-requested');
+  changeInputsInAnotherTab(page, { Age: '40' });
+
+  await waitFor(() => priceText(page) !== '' && page.document.querySelectorAll('.skeleton-loader').length === 0);
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  assert.equal(priceText(page), '$120');
+  assert.equal(page.events.filter(event => event.name === 'quote-loaded').length, 1);
+  assert.equal(page.window.DPR.getResultsData().dpr_local_storage.Age, '40');
+});
+
+test('plan-page.js: inputs changed during the request are re-quoted before rendering', async (t) => {
+  const page = loadPlanPage({ mock: { 'data-mock-latency': '100' } });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-requested');
+
+  // Same-tab write with no event: only the post-request check can catch it
+  page.window.localStorage.setItem('dpr_local_data', JSON.stringify({ ...BASE_LOCAL_DATA, Age: '40' }));
+
+  await waitFor(() => priceText(page) !== '');
+
+  assert.equal(priceText(page), '$120');
+  assert.equal(page.events.filter(event => event.name === 'quote-requested').length, 2);
+});
+
+test('plan-page.js: typing in another tab re-quotes once', async (t) => {
+  const page = loadPlanPage();
+  t.after(page.close);
+
+  await waitFor(() => priceText(page) === '$96');
+
+  changeInputsInAnotherTab(page, { Age: '4' });
+  changeInputsInAnotherTab(page, { Age: '40' });
+
+  await waitFor(() => priceText(page) === '$120');
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  assert.equal(page.events.filter(event => event.name === 'quote-requested').length, 2);
+});
+
+test('plan-page.js: incomplete inputs from another tab or a results save keep the current premium', async (t) => {
+  const page = loadPlanPage();
+  t.after(page.close);
+
+  await waitFor(() => priceText(page) === '$96');
+
+  const { document, window } = page;
+  const { Age, ...remaining } = BASE_LOCAL_DATA;
+  window.localStorage.setItem('dpr_local_data', JSON.stringify(remaining));
+  window.DPR.emit('inputs-changed', { source: 'dpr-core', changedFields: ['Age'], localData: remaining });
+  window.DPR.emit('results-updated', { source: 'dpr-results' });
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  assert.equal(priceText(page), '$96');
+  assert.notEqual(document.querySelector('[data-plan-page="getPriceCta"]').style.display, 'block');
+  assert.equal(page.events.filter(event => event.name === 'quote-requested').length, 1);
+});
+
+test('plan-page.js: re-rendering a Quebec quote for another province shows the apply button again', async (t) => {
+  const page = loadPlanPage({ local: { ...BASE_LOCAL_DATA, Province: '10' } });
+  t.after(page.close);
+
+  const { document } = page;
+  const applyBtnWrapper = document.querySelector('[data-plan-page="applyBtnWrapper"]');
+  const quebecCall = document.querySelector('[data-plan-page="quebecCall"]');
+
+  await waitFor(() => priceText(page) !== '');
+  assert.equal(applyBtnWrapper.style.display, 'none');
+  assert.equal(quebecCall.style.display, 'block');
+
+  changeInputsInAnotherTab(page, { Province: '5' });
+
+  await waitFor(() => quebecCall.style.display === 'none');
+  assert.equal(applyBtnWrapper.style.display, '');
+  assert.equal(applyBtnWrapper.classList.contains('hide'), false);
+});
+
+test('plan-page.js: the quote editor saves its fields in a single storage write', async (t) => {
+  const page = loadPlanPage();
+  t.after(page.close);
+
+  await waitFor(() => priceText(page) === '$96');
+
+  const { document, window } = page;
+  const writes = [];
+  const setItem = window.Storage.prototype.setItem;
+  window.Storage.prototype.setItem = function(key, value) {
+    if (key === 'dpr_local_data') writes.push(JSON.parse(value));
+    return setItem.call(this, key, value);
+  };
+
+  document.querySelector('[data-form-trigger="open-quote-modal"]').click();
+  const form = document.querySelector('[data-form-trigger="quote-form"]');
+  form.elements.Age.value = '40';
+  form.elements.Dependents.value = '1';
+  document.querySelector('[data-form-trigger="get-quote"]').click();
+
+  // 96.20 * 1.25 (age 40) * 1.6 (one dependent)
+  await waitFor(() => priceText(page) === '$192');
+
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0].Age, '40');
+  assert.equal(writes[0].Dependents, '1');
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitForEvent, BASE_LOCAL_DATA } = require('./helpers/page');
+
+// Prefill priority: URL params > localStorage > sessionStorage (personal fields never reach the URL)
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  test(`${script}: URL params win over localStorage and are written back to it`, async (t) => {
+    const page = loadPage({
+      script,
+      url: 'https://example.com/results?Age=45',
+      local: BASE_LOCAL_DATA
+    });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    assert.equal(page.document.querySelector('[name="Age"]').value, '45');
+    assert.equal(JSON.parse(page.window.localStorage.getItem('dpr_local_data')).Age, '45');
+  });
+
+  test(`${script}: localStorage prefills forms and is mirrored into the URL`, async (t) => {
+    const page = loadPage({ script, local: BASE_LOCAL_DATA });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    const params = new page.window.URL(page.window.location.href).searchParams;
+    assert.equal(page.document.querySelector('[name="Age"]').value, '30');
+    assert.equal(params.get('Age'), '30');
+    assert.equal(params.get('Province'), '5');
+  });
+
+  test(`${script}: sessionStorage fills personal fields but never the URL`, async (t) => {
+    const page = loadPage({
+      script,
+      local: BASE_LOCAL_DATA,
+      session: { FirstName: 'Alex', EmailAddress: 'alex@example.com' }
+    });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    const params = new page.window.URL(page.window.location.href).searchParams;
+    assert.equal(page.document.querySelector('[name="FirstName"]').value, 'Alex');
+    assert.equal(params.has('FirstName'), false);
+    assert.equal(params.has('EmailAddress'), false);
+  });
+
+  test(`${script}: quote-requested describes the payload without its values`, async (t) => {
+    const page = loadPage({
+      script,
+      local: BASE_LOCAL_DATA,
+      session: { FirstName: 'Alex', EmailAddress: 'alex@example.com' }
+    });
+    t.after(page.close);
+
+    const detail = await waitForEvent(page, 'quote-requested');
+
+    assert.equal(detail.payload, undefined);
+    assert.ok(detail.fields.includes('Age'));
+    assert.equal(detail.fieldCount, detail.fields.length);
+    assert.match(detail.payloadHash, /^[0-9a-f]+$/);
+    assert.doesNotMatch(JSON.stringify(detail), /Alex|alex@example\.com/);
+  });
+
+  test(`${script}: localStorage wins over sessionStorage for the same field`, async (t) => {
+    const page = loadPage({
+      script,
+      local: BASE_LOCAL_DATA,
+      session: { Age: '61' }
+    });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    assert.equal(page.document.querySelector('[name="Age"]').value, '30');
+  });
+}
+
+test('plan-card-display.js: prefills forms from localStorage only', async (t) => {
+  const page = loadPage({
+    script: 'plan-card-display.js',
+    url: 'https://example.com/plans?Age=45',
+    local: BASE_LOCAL_DATA,
+    session: { FirstName: 'Alex' }
+  });
+  t.after(page.close);
+
+  await waitForEvent(page, 'plans-populated');
+
+  assert.equal(page.document.querySelector('[name="Age"]').value, '30');
+  assert.equal(page.document.querySelector('[name="FirstName"]').value, '');
+  assert.equal(JSON.parse(page.window.localStorage.getItem('dpr_local_data')).Age, '30');
+});
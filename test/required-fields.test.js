@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, BASE_LOCAL_DATA } = require('./helpers/page');
+
+const REDIRECT_ATTRS = { 'data-redirect-url': '/get-a-quote' };
+
+/**
+ * Quote inputs without the given fields
+ * @param {...string} fieldNames
+ * @returns {Object}
+ */
+function withoutFields(...fieldNames) {
+  const data = { ...BASE_LOCAL_DATA };
+  fieldNames.forEach(fieldName => delete data[fieldName]);
+  return data;
+}
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  test(`${script}: redirects to data-redirect-url when a core field is missing`, async (t) => {
+    const page = loadPage({ script, attrs: REDIRECT_ATTRS, local: withoutFields('Age') });
+    t.after(page.close);
+
+    await waitFor(() => page.navigations.length > 0);
+
+    assert.equal(page.events.some(event => event.name === 'quote-requested'), false);
+  });
+
+  for (const coverageType of ['0', '3']) {
+    test(`${script}: Dependents is optional for CoverageType ${coverageType}`, async (t) => {
+      const page = loadPage({
+        script,
+        attrs: REDIRECT_ATTRS,
+        local: { ...withoutFields('Dependents'), CoverageType: coverageType }
+      });
+      t.after(page.close);
+
+      await waitForEvent(page, 'quote-loaded');
+
+      assert.deepEqual(page.navigations, []);
+    });
+  }
+
+  test(`${script}: Dependents is required for CoverageType 1`, async (t) => {
+    const page = loadPage({
+      script,
+      attrs: REDIRECT_ATTRS,
+      local: { ...withoutFields('Dependents'), CoverageType: '1' }
+    });
+    t.after(page.close);
+
+    await waitFor(() => page.navigations.length > 0);
+  });
+}
+
+test('dpr-results.js: redirects when a filter field is missing', async (t) => {
+  const page = loadPage({ script: 'dpr-results.js', attrs: REDIRECT_ATTRS, local: withoutFields('CoverageTier') });
+  t.after(page.close);
+
+  await waitFor(() => page.navigations.length > 0);
+});
+
+test('dpr-results-2.js: quotes without filter fields (lenient validation)', async (t) => {
+  const page = loadPage({
+    script: 'dpr-results-2.js',
+    attrs: REDIRECT_ATTRS,
+    local: withoutFields('CoverageTier', 'InsuranceReason', 'PreExisting')
+  });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-loaded');
+
+  assert.deepEqual(page.navigations, []);
+});
+
+test('plan-card-display.js: hides dynamic blocks and reports failure instead of redirecting', async (t) => {
+  const page = loadPage({ script: 'plan-card-display.js', local: withoutFields('Age') });
+  t.after(page.close);
+
+  const detail = await waitForEvent(page, 'plans-populated');
+
+  assert.equal(detail.success, false);
+  assert.deepEqual(page.navigations, []);
+  page.document.querySelectorAll('[data-results="dynamic-block"]').forEach(block => {
+    assert.equal(block.style.display, 'none');
+  });
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, waitFor, waitForEvent, resultsMarkup, BASE_LOCAL_DATA } = require('./helpers/page');
+
+/**
+ * Encode a resume token the way DPR.buildResumeLink() does
+ * @param {Object} value - { v, f, p, q }
+ * @returns {string} base64url token
+ */
+function resumeToken(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+const RESUMED_FIELDS = {
+  CoverageType: '0',
+  Age: '50',
+  Province: '5',
+  CoverageTier: 'comprehensive',
+  InsuranceReason: '2',
+  PreExisting: 'no'
+};
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  test(`${script}: a resume link replaces the stored answers instead of merging`, async (t) => {
+    const page = loadPage({
+      script,
+      url: `https://example.com/results?resume=${resumeToken({ v: 1, f: RESUMED_FIELDS, p: 'all' })}`,
+      local: { ...BASE_LOCAL_DATA, Dependents: '2', PreExistingCoverage: 'yes', plans: 'suggested' }
+    });
+    t.after(page.close);
+
+    const resumed = await waitForEvent(page, 'quote-resumed');
+    await waitForEvent(page, 'quote-loaded');
+
+    const localData = JSON.parse(page.window.localStorage.getItem('dpr_local_data'));
+    assert.equal(localData.Age, '50');
+    assert.equal(localData.CoverageTier, 'comprehensive');
+    assert.equal(localData.plans, 'all');
+    assert.equal('Dependents' in localData, false);
+    assert.equal('PreExistingCoverage' in localData, false);
+
+    assert.equal(resumed.plans, 'all');
+    assert.equal(resumed.quoteSetId, null);
+    assert.equal(resumed.cachedQuote, false);
+    assert.equal(new page.window.URL(page.window.location.href).searchParams.has('resume'), false);
+  });
+}
+
+test('dpr-results.js: resume links carry only the quote answers, plan mode and QuoteSetId', async (t) => {
+  const page = loadPage({
+    script: 'dpr-results.js',
+    local: BASE_LOCAL_DATA,
+    session: { FirstName: 'Alex' }
+  });
+  t.after(page.close);
+
+  await waitForEvent(page, 'quote-loaded');
+
+  const link = new page.window.URL(page.window.DPR.buildResumeLink());
+  const token = JSON.parse(Buffer.from(link.searchParams.get('resume'), 'base64url').toString());
+
+  assert.deepEqual(Object.keys(token).sort(), ['f', 'p', 'q', 'v']);
+  assert.equal(token.f.Age, '30');
+  assert.equal('FirstName' in token.f, false);
+  assert.equal(token.q, page.window.DPR.getResultsData().results.QuoteSetId);
+});
+
+for (const [quoteSetId, cachedQuote] of [['Q-1', true], ['Q-2', false]]) {
+  test(`dpr-core.js: restoring QuoteSetId ${quoteSetId} ${cachedQuote ? 'keeps' : 'drops'} the cached Q-1 quote`, async (t) => {
+    const page = loadPage({
+      script: [],
+      url: `https://example.com/results?resume=${resumeToken({ v: 1, f: RESUMED_FIELDS, p: 'all', q: quoteSetId })}`
+    });
+    t.after(page.close);
+    page.window.sessionStorage.setItem('dpr_results_data', JSON.stringify({ results: { QuoteSetId: 'Q-1', PlanQuotes: [] } }));
+
+    const restored = page.window.DPR.restoreFromResumeLink();
+
+    assert.equal(restored.quoteSetId, quoteSetId);
+    assert.equal(restored.cachedQuote, cachedQuote);
+    assert.equal(page.window.DPR.getResultsData() !== null, cachedQuote);
+  });
+}
+
+for (const script of ['dpr-results.js', 'dpr-results-2.js']) {
+  test(`${script}: resume actions show the link and share it by email`, async (t) => {
+    const page = loadPage({
+      script,
+      body: `${resultsMarkup()}
+        <input type="text" dpr-results="resume-link">
+        <a href="#" dpr-results="resume-email">Email me</a>`,
+      local: BASE_LOCAL_DATA
+    });
+    t.after(page.close);
+
+    await waitForEvent(page, 'quote-loaded');
+
+    const linkEl = page.document.querySelector('[dpr-results="resume-link"]');
+    await waitFor(() => linkEl.value);
+    assert.match(linkEl.value, /^https:\/\/example\.com\/results\?resume=/);
+
+    page.document.querySelector('[dpr-results="resume-email"]').click();
+
+    const shared = await waitForEvent(page, 'resume-link-shared');
+    assert.equal(shared.source, script.replace('.js', ''));
+    assert.equal(shared.method, 'email');
+    assert.equal(page.navigations.length, 1);
+  });
+}
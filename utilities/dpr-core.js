@@ -0,0 +1,2058 @@
+(function() {
+  /*
+   * ------------------------------------------------------------
+   *  DPR Core - Shared Quote State Module
+   * ------------------------------------------------------------
+   *
+   *  FEATURES:
+   *    ✓ Single source for dpr_local_data / dpr_session_data /
+   *      dpr_results_data / visitor_attribution access
+   *    ✓ Declarative field schema (FIELD_SCHEMA) driving validation,
+   *      storage routing, URL sync and payload coercion
+   *    ✓ Shared /quoteset payload building and quote fetching
+   *    ✓ Strict quote response validation (malformed plans dropped)
+   *    ✓ Locale-aware price formatting (Intl.NumberFormat + <html lang>)
+   *    ✓ en / fr message catalog for script-generated text
+   *    ✓ dpr:* lifecycle event bus with replay for late subscribers
+   *    ✓ window.dataLayer funnel events mirrored from the event bus
+   *    ✓ Request timeout + exponential backoff retry (5xx/network only)
+   *    ✓ Payload-hash keyed reuse of dpr_results_data (TTL based)
+   *    ✓ Shared application URL resolution + GTM auto-linker
+   *    ✓ Allowlisted attribution hand-off on the application URL
+   *    ✓ PII-free quote resume links (?resume=<token>)
+   *    ✓ Cross-tab dpr_local_data changes relayed as dpr:inputs-changed,
+   *      with a shared debounced re-quote / re-sort handler for pages
+   *    ✓ Swappable API transport (data-mock="true" + dpr-mock.js)
+   *    ✓ Shared Webflow-aware form field helpers
+   *    ✓ Exports global object: window.DPR
+   *
+   *  USAGE:
+   *    Page scripts may load before or after this file (the script
+   *    loader injects scripts async), so queue work with push():
+   *
+   *      window.DPR = window.DPR || [];
+   *      window.DPR.push(() => {
+   *        // window.DPR API is available here
+   *      });
+   *
+   *    Callbacks queued before the core loads run as soon as it
+   *    does; callbacks pushed afterwards run immediately.
+   *
+   * ------------------------------------------------------------
+   */
+
+  // ============================================================
+  // CONFIGURATION
+  // ============================================================
+
+  // Default root API URL (page scripts override via their own data-api-url)
+  const DEFAULT_API_URL = 'https://qagsd2cins.greenshield.ca';
+
+  // Storage keys shared by every quote script
+  const LOCAL_STORAGE_KEY = 'dpr_local_data';
+  const SESSION_STORAGE_KEY = 'dpr_session_data';
+  const RESULTS_STORAGE_KEY = 'dpr_results_data';
+  const ATTRIBUTION_STORAGE_KEY = 'visitor_attribution';
+
+  // Seconds a cached quote response is reused for an identical payload
+  // (page scripts override via data-cache-ttl; 0 disables caching)
+  const DEFAULT_CACHE_TTL = 300;
+
+  // Quote request defaults (page scripts override via data-request-timeout / data-retry-count)
+  const DEFAULT_REQUEST_TIMEOUT = 15000;
+  const DEFAULT_RETRY_COUNT = 2;
+  const DEFAULT_RETRY_DELAY = 500;
+
+  // Currency for all displayed prices
+  const PRICE_CURRENCY = 'CAD';
+
+  // Price display defaults (page scripts override via data-price-rounding /
+  // data-price-cents / data-price-symbol)
+  const DEFAULT_PRICE_FORMAT = Object.freeze({ rounding: 'round', cents: 'never', symbol: 'none' });
+
+  // Mock mode (data-mock="true" on this script): API calls are answered by
+  // utilities/dpr-mock.js instead of the network
+  const MOCK_MODE = document.currentScript?.getAttribute('data-mock') === 'true';
+
+  // How long mock-mode API calls wait for utilities/dpr-mock.js to register
+  const MOCK_TRANSPORT_WAIT = 5000;
+
+  // Attribution fields appended to the application URL on Apply (page scripts
+  // override via data-handoff-params; "none" disables the hand-off)
+  const DEFAULT_HANDOFF_PARAMS = Object.freeze([
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+    'gclid', 'fbclid', 'msclkid'
+  ]);
+
+  // Query parameter carrying a quote resume token (see buildResumeLink)
+  const RESUME_PARAM = 'resume';
+  const RESUME_VERSION = 1;
+
+  // Quiet time (ms) after the last quote input change in another tab before a
+  // page applies it, so typing there re-quotes once instead of per keystroke
+  const CROSS_TAB_SYNC_DELAY = 400;
+
+  // Funnel analytics (data-analytics="false" on this script stops window.dataLayer pushes)
+  const ANALYTICS_ENABLED = document.currentScript?.getAttribute('data-analytics') !== 'false';
+
+  // ============================================================
+  // STORAGE HELPER FUNCTIONS
+  // ============================================================
+
+  /**
+   * Retrieve non-personal quote data from localStorage
+   * @returns {Object|null} Parsed localStorage data or null if unavailable
+   */
+  function getLocalStorageData() {
+    try {
+      const raw = localStorage.getItem(LOCAL_STORAGE_KEY);
+      if (!raw) return null;
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn('[dpr-core] Failed to read from localStorage:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieve personal contact data from sessionStorage
+   * @returns {Object|null} Parsed sessionStorage data or null if unavailable
+   */
+  function getSessionStorageData() {
+    try {
+      const raw = sessionStorage.getItem(SESSION_STORAGE_KEY);
+      if (!raw) return null;
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn('[dpr-core] Failed to read from sessionStorage:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Latest analytics_storage state from Google Consent Mode commands in window.dataLayer
+   * (same reading as AttributionTracker.readGoogleConsent, for pages without a tracker)
+   * @returns {boolean|null} true granted, false denied, null if never set
+   */
+  function readGoogleConsent() {
+    const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+    let granted = null;
+
+    dataLayer.forEach(entry => {
+      if (!entry || entry[0] !== 'consent') return;
+      if (entry[1] !== 'default' && entry[1] !== 'update') return;
+
+      const state = entry[2]?.analytics_storage;
+      if (state === 'granted') granted = true;
+      if (state === 'denied') granted = false;
+    });
+
+    return granted;
+  }
+
+  /**
+   * Retrieve marketing attribution data from localStorage
+   * Empty while the page's AttributionTracker is waiting for (or denied) analytics
+   * consent, or, on pages without a tracker, when Google Consent Mode denies analytics_storage
+   * @returns {Object} Attribution data or empty object if unavailable
+   */
+  function getAttributionData() {
+    const tracker = window.attributionTracker;
+    const consentDenied = tracker
+      ? tracker.hasConsent?.() === false
+      : readGoogleConsent() === false;
+
+    if (consentDenied) {
+      return {};
+    }
+
+    try {
+      const raw = localStorage.getItem(ATTRIBUTION_STORAGE_KEY);
+      if (!raw) return {};
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn('[dpr-core] Failed to read attribution data:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Retrieve results data from sessionStorage
+   * @returns {Object|null} Parsed results data or null
+   */
+  function getResultsData() {
+    try {
+      const raw = sessionStorage.getItem(RESULTS_STORAGE_KEY);
+      if (!raw) return null;
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn('[dpr-core] Failed to read results data:', e);
+      return null;
+    }
+  }
+
+  // ============================================================
+  // STORAGE UPDATE FUNCTIONS
+  // ============================================================
+
+  /**
+   * Replace the whole dpr_local_data object
+   * @param {Object} data - Non-personal quote data
+   * @returns {boolean} True if save succeeded, false otherwise
+   */
+  function setLocalStorageData(data) {
+    try {
+      localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
+      return true;
+    } catch (e) {
+      console.warn('[dpr-core] Failed to save to localStorage:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the whole dpr_session_data object
+   * @param {Object} data - Personal contact data
+   * @returns {boolean} True if save succeeded, false otherwise
+   */
+  function setSessionStorageData(data) {
+    try {
+      sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(data));
+      return true;
+    } catch (e) {
+      console.warn('[dpr-core] Failed to save to sessionStorage:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Update a single field in localStorage (dpr_local_data)
+   * @param {string} fieldName - The field name to update
+   * @param {*} value - The new value for the field
+   * @returns {boolean} True if update succeeded, false otherwise
+   */
+  function updateLocalStorage(fieldName, value) {
+    const data = getLocalStorageData() || {};
+    data[fieldName] = value;
+    return setLocalStorageData(data);
+  }
+
+  /**
+   * Update a single field in sessionStorage (dpr_session_data)
+   * @param {string} fieldName - The field name to update
+   * @param {*} value - The new value for the field
+   * @returns {boolean} True if update succeeded, false otherwise
+   */
+  function updateSessionStorage(fieldName, value) {
+    const data = getSessionStorageData() || {};
+    data[fieldName] = value;
+    return setSessionStorageData(data);
+  }
+
+  /**
+   * Remove a single field from localStorage (dpr_local_data)
+   * @param {string} fieldName - The field name to remove
+   * @returns {boolean} True if removal succeeded, false otherwise
+   */
+  function removeLocalStorageField(fieldName) {
+    const data = getLocalStorageData() || {};
+    delete data[fieldName];
+    return setLocalStorageData(data);
+  }
+
+  /**
+   * Save API results to sessionStorage with original form data
+   * Emits results-updated so scripts showing cached results can re-render
+   * @param {Object} apiResponse - Full API response from fetchQuotes()
+   * @param {Object} localData - Copy of dpr_local_data used for the request
+   * @param {Object} sessionData - Copy of dpr_session_data used for the request
+   * @param {Object} [payload] - Payload sent to /quoteset (enables response caching)
+   * @returns {boolean} True if save succeeded, false otherwise
+   */
+  function saveResultsData(apiResponse, localData, sessionData, payload) {
+    try {
+      const resultsData = {
+        results: apiResponse,
+        dpr_local_storage: localData,
+        dpr_session_storage: sessionData,
+        payload_hash: payload ? hashPayload(payload) : null,
+        saved_at: Date.now()
+      };
+
+      sessionStorage.setItem(RESULTS_STORAGE_KEY, JSON.stringify(resultsData));
+      emit('results-updated', { source: 'dpr-core', results: apiResponse });
+      return true;
+    } catch (e) {
+      console.error('[dpr-core] Failed to save results to sessionStorage:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Remove saved API results from sessionStorage (dpr_results_data)
+   * @returns {boolean} True if removal succeeded, false otherwise
+   */
+  function clearResultsData() {
+    try {
+      sessionStorage.removeItem(RESULTS_STORAGE_KEY);
+      return true;
+    } catch (e) {
+      console.warn('[dpr-core] Failed to clear results from sessionStorage:', e);
+      return false;
+    }
+  }
+
+  // ============================================================
+  // RESPONSE CACHING
+  // ============================================================
+
+  /**
+   * Serialize a value with object keys sorted so equal payloads produce equal strings
+   * @param {*} value - Value to serialize
+   * @returns {string} Normalized JSON string
+   */
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Hash a /quoteset payload (FNV-1a over the normalized JSON)
+   * @param {Object} payload - Payload from buildPayload()
+   * @returns {string} Hex hash
+   */
+  function hashPayload(payload) {
+    const str = stableStringify(payload);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Describe a /quoteset payload without its values, safe for events and analytics
+   * (the payload can carry personal data such as name, email and phone)
+   * @param {Object} payload - Payload from buildPayload()
+   * @returns {Object} { fields, fieldCount, payloadHash }
+   */
+  function describePayload(payload) {
+    const fields = Object.keys(payload || {}).sort();
+    return { fields, fieldCount: fields.length, payloadHash: hashPayload(payload || {}) };
+  }
+
+  /**
+   * Return the cached quote response if it was fetched for the same payload
+   * and is younger than the TTL
+   * @param {Object} payload - Payload about to be sent to /quoteset
+   * @param {number} [ttlSeconds] - Max cache age in seconds (defaults to DEFAULT_CACHE_TTL)
+   * @returns {Object|null} Cached API response or null on a miss
+   */
+  function getCachedResults(payload, ttlSeconds) {
+    const ttl = Number.isFinite(ttlSeconds) ? ttlSeconds : DEFAULT_CACHE_TTL;
+    if (ttl <= 0) return null;
+
+    const resultsData = getResultsData();
+    if (!resultsData?.results || !resultsData.payload_hash || !resultsData.saved_at) return null;
+
+    if (resultsData.payload_hash !== hashPayload(payload)) return null;
+
+    const ageMs = Date.now() - resultsData.saved_at;
+    if (ageMs < 0 || ageMs > ttl * 1000) return null;
+
+    return resultsData.results;
+  }
+
+  /**
+   * Normalize a stored field value for comparison (missing and empty values are equal)
+   * @param {*} value - Stored value
+   * @returns {string}
+   */
+  function toComparableValue(value) {
+    return isFieldMissing(value) ? '' : String(value);
+  }
+
+  /**
+   * List the quote inputs that changed since a saved quote was taken
+   * Compares the saved dpr_local_storage snapshot with current dpr_local_data
+   * (schema fields only; missing and empty values are equal)
+   * @param {Object} resultsData - Saved results (see getResultsData)
+   * @param {Object} [localData] - Current quote inputs (defaults to dpr_local_data)
+   * @returns {string[]} Changed field names (empty if unchanged or the quote has no saved inputs)
+   */
+  function getChangedQuoteFields(resultsData, localData = getLocalStorageData()) {
+    const quotedData = resultsData?.dpr_local_storage;
+    if (!quotedData) return [];
+
+    const currentData = localData || {};
+
+    return getFieldNames({ storage: 'local' }).filter(fieldName =>
+      toComparableValue(quotedData[fieldName]) !== toComparableValue(currentData[fieldName])
+    );
+  }
+
+  // ============================================================
+  // FIELD SCHEMA
+  // ============================================================
+
+  /*
+   * One entry per quote question. Every script reads this instead of
+   * keeping its own field lists, so a new question is a schema change.
+   *
+   *   type           - Payload coercion: 'number' | 'string' | 'boolean'
+   *   storage        - 'local' (dpr_local_data) or 'session' (dpr_session_data, personal)
+   *   urlVisible     - Mirrored into URL query params
+   *   group          - 'core' (needed for any quote), 'filter' (recommendations), 'personal'
+   *   required       - Required for its group to be complete
+   *   optionalWhen   - Conditions that lift the requirement; each condition maps
+   *                    field names to accepted values (loose equality, all must match)
+   *   payloadDefault - Sent when the stored value is missing (default null)
+   *   payload        - false to keep the field out of the /quoteset payload
+   */
+  const FIELD_SCHEMA = Object.freeze({
+    CoverageType: { type: 'number', storage: 'local', urlVisible: true, group: 'core', required: true },
+    Dependents: {
+      type: 'number', storage: 'local', urlVisible: true, group: 'core', required: true,
+      optionalWhen: [{ CoverageType: [0, 3] }],
+      payloadDefault: 0
+    },
+    Age: { type: 'number', storage: 'local', urlVisible: true, group: 'core', required: true },
+    Province: { type: 'number', storage: 'local', urlVisible: true, group: 'core', required: true },
+    CoverageTier: { type: 'string', storage: 'local', urlVisible: true, group: 'filter', required: true },
+    InsuranceReason: { type: 'number', storage: 'local', urlVisible: true, group: 'filter', required: true },
+    PreExisting: {
+      type: 'string', storage: 'local', urlVisible: true, group: 'filter', required: true,
+      optionalWhen: [{ InsuranceReason: [2] }]
+    },
+    PreExistingCoverage: {
+      type: 'string', storage: 'local', urlVisible: true, group: 'filter', required: true,
+      optionalWhen: [{ InsuranceReason: [2] }, { PreExisting: ['no'] }]
+    },
+    FirstName: { type: 'string', storage: 'session', urlVisible: false, group: 'personal' },
+    LastName: { type: 'string', storage: 'session', urlVisible: false, group: 'personal' },
+    PhoneNumber: { type: 'string', storage: 'session', urlVisible: false, group: 'personal' },
+    EmailAddress: { type: 'string', storage: 'session', urlVisible: false, group: 'personal' },
+    PrivacyPolicy: { type: 'string', storage: 'session', urlVisible: false, group: 'personal', payload: false },
+    MarketingPermission: { type: 'boolean', storage: 'session', urlVisible: false, group: 'personal', payloadDefault: false }
+  });
+
+  /**
+   * List schema field names, optionally filtered by schema properties
+   * @param {Object} [filter] - e.g. { storage: 'local' }, { group: 'filter' }, { urlVisible: true }
+   * @returns {string[]} Field names in schema order
+   */
+  function getFieldNames(filter = {}) {
+    return Object.keys(FIELD_SCHEMA).filter(name =>
+      Object.entries(filter).every(([key, value]) => FIELD_SCHEMA[name][key] === value)
+    );
+  }
+
+  /**
+   * Get the storage tier for a field
+   * @param {string} fieldName - The field name
+   * @returns {string|null} 'local', 'session', or null for fields outside the schema
+   */
+  function getFieldStorage(fieldName) {
+    return FIELD_SCHEMA[fieldName]?.storage || null;
+  }
+
+  /**
+   * Check whether a field may appear in URL query params
+   * Fields outside the schema (e.g. 'plans') are treated as URL-visible
+   * @param {string} fieldName - The field name
+   * @returns {boolean}
+   */
+  function isUrlVisible(fieldName) {
+    const field = FIELD_SCHEMA[fieldName];
+    return field ? field.urlVisible : true;
+  }
+
+  // ============================================================
+  // FIELD VALIDATION
+  // ============================================================
+
+  /**
+   * Check if a field value is missing (null, undefined, or empty string)
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is missing, false otherwise
+   */
+  function isFieldMissing(value) {
+    return value == null || value === '';
+  }
+
+  /**
+   * Check whether a schema field is required given the current data
+   * @param {string} fieldName - The field name
+   * @param {Object} data - Stored quote data to evaluate conditions against
+   * @returns {boolean}
+   */
+  function isFieldRequired(fieldName, data) {
+    const field = FIELD_SCHEMA[fieldName];
+    if (!field || !field.required) return false;
+
+    const lifted = (field.optionalWhen || []).some(condition =>
+      // Use == to handle string/number comparison
+      Object.entries(condition).every(([name, values]) => values.some(v => data[name] == v))
+    );
+
+    return !lifted;
+  }
+
+  /**
+   * Get required fields that are missing from the given data
+   * @param {Object} data - Stored quote data
+   * @param {string[]} [groups=['core']] - Schema groups to check
+   * @returns {string[]} Missing field names in schema order
+   */
+  function getMissingFields(data, groups = ['core']) {
+    return Object.keys(FIELD_SCHEMA).filter(name =>
+      groups.includes(FIELD_SCHEMA[name].group) &&
+      isFieldRequired(name, data) &&
+      isFieldMissing(data[name])
+    );
+  }
+
+  /**
+   * Validate that all required fields exist in localStorage
+   * @param {Object} [options]
+   * @param {boolean} [options.includeFilterFields=false] - Also require the filter group
+   *   (CoverageTier, InsuranceReason, PreExisting, PreExistingCoverage)
+   * @returns {boolean} True if all required fields exist, false otherwise
+   */
+  function validateRequiredFields({ includeFilterFields = false } = {}) {
+    const localData = getLocalStorageData();
+
+    if (!localData) {
+      console.warn('No localStorage data found');
+      return false;
+    }
+
+    const groups = includeFilterFields ? ['core', 'filter'] : ['core'];
+    const missing = getMissingFields(localData, groups);
+
+    if (missing.length > 0) {
+      console.warn(`Required field missing: ${missing.join(', ')}`);
+      return false;
+    }
+
+    console.log('All required fields validated successfully');
+    return true;
+  }
+
+  /**
+   * Check whether all filter group fields are populated (without logging)
+   * @returns {boolean}
+   */
+  function hasFilterFields() {
+    const d = getLocalStorageData();
+    if (!d) return false;
+    return getMissingFields(d, ['filter']).length === 0;
+  }
+
+  // ============================================================
+  // FORM FIELD VALUE MANAGEMENT
+  // ============================================================
+
+  /**
+   * Get current value from a form field
+   * @param {HTMLFormElement} formEl - The form element
+   * @param {string} fieldName - The name of the field
+   * @returns {string|null} The field value or null
+   */
+  function getFieldValue(formEl, fieldName) {
+    const elements = formEl.elements[fieldName];
+
+    if (!elements) return null;
+
+    // Handle radio buttons (NodeList)
+    if (elements instanceof RadioNodeList) {
+      return elements.value || null;
+    }
+
+    // Handle single element (select, text input, checkbox)
+    if (elements.type === 'checkbox') {
+      return elements.checked ? elements.value || 'true' : null;
+    }
+
+    return elements.value || null;
+  }
+
+  /**
+   * Set value on a form field
+   * @param {HTMLFormElement} formEl - The form element
+   * @param {string} fieldName - The name of the field
+   * @param {string} value - The value to set
+   */
+  function setFieldValue(formEl, fieldName, value) {
+    const elements = formEl.elements[fieldName];
+
+    if (!elements) return;
+
+    // Handle radio buttons (NodeList)
+    if (elements instanceof RadioNodeList) {
+      // First, remove Webflow checked class from all radios in this group
+      for (const radio of elements) {
+        const customInput = radio.parentElement?.querySelector('.w-radio-input');
+        if (customInput) {
+          customInput.classList.remove('w--redirected-checked');
+        }
+      }
+
+      // Then set the matching radio as checked
+      for (const radio of elements) {
+        if (radio.value === value) {
+          radio.checked = true;
+
+          // Add Webflow checked class to the custom radio input
+          const customInput = radio.parentElement?.querySelector('.w-radio-input');
+          if (customInput) {
+            customInput.classList.add('w--redirected-checked');
+          }
+
+          radio.dispatchEvent(new Event('change', { bubbles: true }));
+          break;
+        }
+      }
+      return;
+    }
+
+    // Handle select element
+    if (elements.tagName === 'SELECT') {
+      elements.value = value;
+      elements.dispatchEvent(new Event('change', { bubbles: true }));
+      return;
+    }
+
+    // Handle checkbox
+    if (elements.type === 'checkbox') {
+      elements.checked = value === 'true' || value === elements.value;
+      elements.dispatchEvent(new Event('change', { bubbles: true }));
+      return;
+    }
+
+    // Handle text input
+    elements.value = value;
+    elements.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Update ALL form fields with the same name across the page
+   * @param {string} fieldName - The field name to sync
+   * @param {*} value - The value to set
+   */
+  function syncAllFieldsWithName(fieldName, value) {
+    const forms = document.querySelectorAll('form');
+
+    forms.forEach(form => {
+      const field = form.elements[fieldName];
+      if (field) {
+        setFieldValue(form, fieldName, value);
+      }
+    });
+  }
+
+  // ============================================================
+  // PAYLOAD BUILDING
+  // ============================================================
+
+  /**
+   * Coerce a stored value to the API type declared in the schema
+   * @param {*} value - Stored value (usually a string from a form field)
+   * @param {Object} field - FIELD_SCHEMA entry
+   * @returns {*} Coerced value or the field's payloadDefault when missing
+   */
+  function coerceFieldValue(value, field) {
+    const fallback = field.payloadDefault !== undefined ? field.payloadDefault : null;
+
+    if (field.type === 'boolean') {
+      return value === 'true' || value === true || value === 'on';
+    }
+
+    if (isFieldMissing(value)) return fallback;
+
+    if (field.type === 'number') {
+      const number = Number(value);
+      return isNaN(number) ? fallback : number;
+    }
+
+    return value;
+  }
+
+  // Click IDs and UTM parameters always sent (AttributionTracker's defaults)
+  const ATTRIBUTION_PARAMS = [
+    'gclid', 'fbclid', 'msclkid', 'ttclid', 'li_fat_id', 'gbraid', 'wbraid',
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'
+  ];
+
+  /**
+   * List the attribution parameters to send: the defaults plus any extra click IDs
+   * or custom parameters the tracker is configured with (the page's tracker config,
+   * else tracked_params as stored by the last tracker init)
+   * @param {Object} attributionData - Stored visitor_attribution data
+   * @returns {string[]} Parameter names
+   */
+  function getAttributionParams(attributionData) {
+    const trackerParams = window.attributionTracker?.attributionParams;
+    const configured = Array.isArray(trackerParams) ? trackerParams : attributionData.tracked_params;
+    const tracked = Array.isArray(configured)
+      ? configured.filter(param => typeof param === 'string')
+      : [];
+
+    return [...new Set([...ATTRIBUTION_PARAMS, ...tracked])];
+  }
+
+  /**
+   * Build last-click attribution fields from AttributionTracker's touch history
+   * Falls back to the first-touch fields when only one touch has been recorded
+   * @param {Object} attributionData - Stored visitor_attribution data
+   * @returns {Object} last_<field> values plus touch_count
+   */
+  function getLastTouchPayload(attributionData) {
+    const lastTouch = attributionData.last_touch || attributionData;
+    const fields = {};
+
+    [...getAttributionParams(attributionData), 'channel', 'referrer', 'landing_page'].forEach(field => {
+      fields[`last_${field}`] = lastTouch[field] || null;
+    });
+
+    if (Array.isArray(attributionData.touches)) {
+      fields.touch_count = attributionData.touches.length;
+    } else {
+      fields.touch_count = Object.keys(attributionData).length ? 1 : 0;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Build the attribution fields sent with a quote (also the source for
+   * application URL hand-off parameters)
+   * @param {Object} attributionData - Stored visitor_attribution data
+   * @returns {Object} Attribution field values (null when absent)
+   */
+  function buildAttributionFields(attributionData) {
+    const fields = {};
+
+    // Click IDs, UTMs and custom parameters (first touch)
+    getAttributionParams(attributionData).forEach(param => {
+      fields[param] = attributionData[param] || null;
+    });
+
+    return Object.assign(fields, {
+      channel: attributionData.channel || null,
+      referrer: attributionData.referrer || null,
+      ga_client_id: attributionData.ga_client_id || null,
+      landing_page: attributionData.landing_page || null,
+      user_agent: attributionData.user_agent || null,
+      language: attributionData.language || null,
+
+      // Visitor (90-day record) and session identifiers from AttributionTracker
+      visitor_id: attributionData.visitor_id || null,
+      session_id: attributionData.session_id || null,
+      session_number: attributionData.session_number || null,
+
+      // Last-click attribution (multi-touch history from AttributionTracker)
+      ...getLastTouchPayload(attributionData)
+    });
+  }
+
+  /**
+   * Build API payload from stored data
+   * Merges data from localStorage, sessionStorage, and attribution tracker
+   * Quote fields are coerced according to FIELD_SCHEMA
+   * @param {Object} [options]
+   * @param {boolean} [options.includePersonalData=true] - Read personal fields from
+   *   sessionStorage; when false they are sent as their defaults
+   * @returns {Object|null} Complete API payload or null if required data is missing
+   */
+  function buildPayload({ includePersonalData = true } = {}) {
+    // Retrieve data from all storage sources
+    const localData = getLocalStorageData();
+    const attributionData = getAttributionData();
+
+    // Validate required data exists
+    if (!localData) {
+      console.error('Missing required quote data in localStorage');
+      return null;
+    }
+
+    // SessionStorage is optional - personal fields will be null if missing
+    const sessionData = includePersonalData ? (getSessionStorageData() || {}) : {};
+
+    // Quote, contact and personal fields (schema-driven type conversions)
+    const payload = {};
+
+    Object.entries(FIELD_SCHEMA).forEach(([name, field]) => {
+      if (field.payload === false) return;
+
+      const source = field.storage === 'session' ? sessionData : localData;
+      payload[name] = coerceFieldValue(source[name], field);
+    });
+
+    // Attribution tracking data (never overwrites quote fields)
+    Object.entries(buildAttributionFields(attributionData)).forEach(([name, value]) => {
+      if (!(name in payload)) payload[name] = value;
+    });
+
+    Object.assign(payload, {
+      // ===================================================================
+      // LEGACY FIELDS - Kept for API compatibility, separated for review
+      // These fields are from the old quote system and may not be used
+      // in the new DPR flow but are included for backward compatibility
+      // ===================================================================
+      LeftGroupHealthPlan: null,
+      Prescription: null,
+      CoverOption: null,
+      PhoneExtension: null
+    });
+
+    return payload;
+  }
+
+  // ============================================================
+  // RESPONSE VALIDATION
+  // ============================================================
+
+  /**
+   * Convert a number or numeric string to a finite number
+   * @param {*} value - Raw value from the API
+   * @returns {number|null} Finite number or null if not numeric
+   */
+  function toFiniteNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '') {
+      const num = Number(value);
+      return Number.isFinite(num) ? num : null;
+    }
+    return null;
+  }
+
+  /**
+   * Validate and normalize one PlanQuotes entry
+   * @param {*} plan - Raw plan quote
+   * @param {number} index - Position in PlanQuotes (for error messages)
+   * @param {string[]} issues - Collects validation problems
+   * @returns {Object|null} Normalized plan quote or null if it must be dropped
+   */
+  function validatePlanQuote(plan, index, issues) {
+    if (!plan || typeof plan !== 'object') {
+      issues.push(`PlanQuotes[${index}] is not an object - dropped`);
+      return null;
+    }
+
+    if (typeof plan.PlanName !== 'string' || !plan.PlanName.trim()) {
+      issues.push(`PlanQuotes[${index}] has no PlanName - dropped`);
+      return null;
+    }
+
+    const label = plan.PlanName;
+
+    const premium = toFiniteNumber(plan.Premium);
+    if (premium === null || premium < 0) {
+      issues.push(`${label} has invalid Premium ${JSON.stringify(plan.Premium)} - dropped`);
+      return null;
+    }
+
+    const hasConfirmation = (typeof plan.ConfirmationNumber === 'string' && plan.ConfirmationNumber.trim()) ||
+      Number.isFinite(plan.ConfirmationNumber);
+    if (!hasConfirmation) {
+      issues.push(`${label} has no ConfirmationNumber - dropped`);
+      return null;
+    }
+
+    // Recommendation is optional; anything but a non-negative integer means "not recommended"
+    let recommendation = toFiniteNumber(plan.Recommendation ?? 0);
+    if (!Number.isInteger(recommendation) || recommendation < 0) {
+      issues.push(`${label} has invalid Recommendation ${JSON.stringify(plan.Recommendation)} - treated as 0`);
+      recommendation = 0;
+    }
+
+    // QuoteOptions are optional; malformed options are dropped individually
+    let quoteOptions = plan.QuoteOptions ?? [];
+    if (!Array.isArray(quoteOptions)) {
+      issues.push(`${label} QuoteOptions is not an array - ignored`);
+      quoteOptions = [];
+    }
+
+    const validOptions = quoteOptions.reduce((options, option, optionIndex) => {
+      const optionPremium = toFiniteNumber(option?.OptionPremium);
+
+      if (typeof option?.OptionName !== 'string' || !option.OptionName || optionPremium === null || optionPremium < 0) {
+        issues.push(`${label} QuoteOptions[${optionIndex}] is malformed - dropped`);
+        return options;
+      }
+
+      options.push({ ...option, OptionPremium: optionPremium });
+      return options;
+    }, []);
+
+    return {
+      ...plan,
+      Premium: premium,
+      ConfirmationNumber: String(plan.ConfirmationNumber),
+      Recommendation: recommendation,
+      QuoteOptions: validOptions
+    };
+  }
+
+  /**
+   * Validate and normalize FilterScenarios.scenarios
+   * @param {*} filterScenarios - Raw FilterScenarios object
+   * @param {string[]} issues - Collects validation problems
+   * @returns {Object|undefined} Normalized FilterScenarios or undefined if absent/unusable
+   */
+  function validateFilterScenarios(filterScenarios, issues) {
+    if (filterScenarios === undefined || filterScenarios === null) return undefined;
+
+    if (!Array.isArray(filterScenarios.scenarios)) {
+      issues.push('FilterScenarios.scenarios is not an array - ignored');
+      return undefined;
+    }
+
+    const criteriaKeys = ['coverOption', 'coverageLevel', 'hasPreExistingCondition', 'wantsPreExistingDrugCoverage'];
+
+    const scenarios = filterScenarios.scenarios.reduce((valid, scenario, index) => {
+      const criteria = scenario?.criteria;
+
+      if (!criteria || typeof criteria !== 'object') {
+        issues.push(`FilterScenarios.scenarios[${index}] has no criteria - dropped`);
+        return valid;
+      }
+
+      // Criteria values are strings, or null as a wildcard
+      const badKey = criteriaKeys.find(key => criteria[key] !== undefined && criteria[key] !== null && typeof criteria[key] !== 'string');
+      if (badKey) {
+        issues.push(`FilterScenarios.scenarios[${index}] criteria.${badKey} is invalid - dropped`);
+        return valid;
+      }
+
+      const recommendations = Array.isArray(scenario.recommendations)
+        ? scenario.recommendations.filter(r => typeof r?.planName === 'string' && r.planName.trim())
+        : [];
+
+      if (recommendations.length === 0) {
+        issues.push(`FilterScenarios.scenarios[${index}] has no valid recommendations - dropped`);
+        return valid;
+      }
+
+      if (recommendations.length !== scenario.recommendations.length) {
+        issues.push(`FilterScenarios.scenarios[${index}] dropped malformed recommendations`);
+      }
+
+      const normalizedCriteria = { ...criteria };
+      criteriaKeys.forEach(key => { normalizedCriteria[key] = criteria[key] ?? null; });
+
+      valid.push({ ...scenario, criteria: normalizedCriteria, recommendations });
+      return valid;
+    }, []);
+
+    return { ...filterScenarios, scenarios };
+  }
+
+  /**
+   * Validate a /quoteset response, dropping malformed plans and scenarios
+   * Problems are reported with console.error; unusable responses throw
+   * @param {*} json - Parsed API response
+   * @returns {Object} Normalized response safe to render and save
+   * @throws {Error} If the response has no QuoteSetId, no PlanQuotes array or no valid plans
+   */
+  function validateQuoteResponse(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error('Invalid quote response: not a JSON object');
+    }
+
+    if (!json.QuoteSetId) {
+      throw new Error('Invalid quote response: missing QuoteSetId');
+    }
+
+    if (!Array.isArray(json.PlanQuotes)) {
+      throw new Error('Invalid quote response: PlanQuotes is not an array');
+    }
+
+    const issues = [];
+    const planQuotes = json.PlanQuotes
+      .map((plan, index) => validatePlanQuote(plan, index, issues))
+      .filter(Boolean);
+    const filterScenarios = validateFilterScenarios(json.FilterScenarios, issues);
+
+    if (issues.length > 0) {
+      console.error(`[dpr-core] Quote response failed validation (${issues.length} issue(s)):`, issues);
+    }
+
+    if (planQuotes.length === 0) {
+      throw new Error('Invalid quote response: no valid PlanQuotes');
+    }
+
+    const response = { ...json, PlanQuotes: planQuotes };
+    if (filterScenarios) {
+      response.FilterScenarios = filterScenarios;
+    } else {
+      delete response.FilterScenarios;
+    }
+
+    return response;
+  }
+
+  // ============================================================
+  // PRICE FORMATTING
+  // ============================================================
+
+  // Whole-dollar rounding modes for data-price-rounding
+  const PRICE_ROUNDING = { round: Math.round, floor: Math.floor, ceil: Math.ceil };
+
+  // Intl.NumberFormat instances keyed by "locale|fractionDigits"
+  const priceFormatters = {};
+
+  /**
+   * Get the page locale from <html lang> (falls back to en-CA)
+   * @returns {string} BCP 47 locale tag supported by Intl
+   */
+  function getPageLocale() {
+    const lang = document.documentElement.lang;
+
+    try {
+      if (lang && Intl.NumberFormat.supportedLocalesOf(lang).length > 0) {
+        return lang;
+      }
+    } catch (e) {
+      console.warn(`[dpr-core] Invalid page lang "${lang}" - using en-CA`);
+    }
+
+    return 'en-CA';
+  }
+
+  /**
+   * Get a cached currency formatter for the page locale
+   * @param {number} fractionDigits - 0 for whole dollars, 2 for cents
+   * @returns {Intl.NumberFormat} Formatter
+   */
+  function getPriceFormatter(fractionDigits) {
+    const locale = getPageLocale();
+    const key = `${locale}|${fractionDigits}`;
+
+    if (!priceFormatters[key]) {
+      priceFormatters[key] = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: PRICE_CURRENCY,
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+      });
+    }
+
+    return priceFormatters[key];
+  }
+
+  /**
+   * Format a price for display using Intl.NumberFormat and the page lang
+   * @param {number|string} amount - Price from the API
+   * @param {Object} [format] - Display options (missing/invalid values use DEFAULT_PRICE_FORMAT)
+   * @param {string} [format.rounding] - 'round', 'floor' or 'ceil' (whole-dollar display only)
+   * @param {string} [format.cents] - 'never', 'always' or 'auto' (only when non-zero)
+   * @param {string} [format.symbol] - 'none', 'locale' (Intl placement), 'before' or 'after'
+   * @returns {string} Formatted price, e.g. "43", "$42.50" or "42,50 $" (empty if not numeric)
+   */
+  function formatPrice(amount, format = {}) {
+    const value = typeof amount === 'number' ? amount : parseFloat(amount);
+    if (!Number.isFinite(value)) return '';
+
+    const rounding = PRICE_ROUNDING[format.rounding] ? format.rounding : DEFAULT_PRICE_FORMAT.rounding;
+    const cents = ['never', 'always', 'auto'].includes(format.cents) ? format.cents : DEFAULT_PRICE_FORMAT.cents;
+    const symbol = ['none', 'locale', 'before', 'after'].includes(format.symbol) ? format.symbol : DEFAULT_PRICE_FORMAT.symbol;
+
+    // Normalize to whole cents first to avoid float noise (e.g. 40.15 * 100)
+    const totalCents = Math.round(value * 100);
+    const showCents = cents === 'always' || (cents === 'auto' && totalCents % 100 !== 0);
+    const displayValue = showCents ? totalCents / 100 : PRICE_ROUNDING[rounding](totalCents / 100);
+
+    const formatter = getPriceFormatter(showCents ? 2 : 0);
+
+    if (symbol === 'locale') {
+      return formatter.format(displayValue);
+    }
+
+    const parts = formatter.formatToParts(displayValue);
+    const currencySymbol = parts.find(part => part.type === 'currency')?.value || '$';
+    const number = parts
+      .filter(part => part.type !== 'currency' && part.type !== 'literal')
+      .map(part => part.value)
+      .join('');
+
+    if (symbol === 'before') return `${currencySymbol}${number}`;
+    if (symbol === 'after') return `${number}\u00a0${currencySymbol}`;
+    return number;
+  }
+
+  /**
+   * Build price text from a label template
+   * "{price}" in the template (every catalog message) is replaced with the formatted price,
+   * always with a currency symbol (locale placement unless format.symbol says otherwise);
+   * templates without it get the number appended without a symbol (legacy "... for $"
+   * data-*-text overrides)
+   * @param {string} template - Label text, e.g. "Add hospital accommodation for {price}"
+   * @param {number|string} amount - Price from the API
+   * @param {Object} [format] - Display options for formatPrice()
+   * @returns {string} Label with price
+   */
+  function formatPriceText(template, amount, format = {}) {
+    if (template.includes('{price}')) {
+      const symbol = format.symbol && format.symbol !== 'none' ? format.symbol : 'locale';
+      return template.replace('{price}', formatPrice(amount, { ...format, symbol }));
+    }
+
+    return `${template}${formatPrice(amount, { ...format, symbol: 'none' })}`;
+  }
+
+  // ============================================================
+  // MESSAGES
+  // ============================================================
+
+  // Script-generated UI text keyed by page language (primary <html lang> subtag)
+  const MESSAGES = Object.freeze({
+    en: Object.freeze({
+      loading: 'Loading...',
+      applyError: 'Error – Try Again',
+      applyButton: 'Apply Now',
+      retry: 'Try again',
+      comparePlans: 'Compare Plans',
+      compareClear: 'Clear',
+      hospitalText: 'Add optional hospital accommodation for {price}',
+      resumeCopied: 'Link copied',
+      resumeCopyError: 'Could not copy – copy the link manually',
+      resumeEmailSubject: 'My dental and drug insurance quote',
+      resumeEmailBody: 'Pick up my quote where I left off: {link}'
+    }),
+    fr: Object.freeze({
+      loading: 'Chargement...',
+      applyError: 'Erreur – Réessayer',
+      applyButton: 'Présenter une demande',
+      retry: 'Réessayer',
+      comparePlans: 'Comparer les régimes',
+      compareClear: 'Effacer',
+      hospitalText: 'Ajouter l’hébergement hospitalier facultatif pour {price}',
+      resumeCopied: 'Lien copié',
+      resumeCopyError: 'Copie impossible – copiez le lien manuellement',
+      resumeEmailSubject: 'Ma soumission d’assurance dentaire et médicaments',
+      resumeEmailBody: 'Reprendre ma soumission là où je l’ai laissée : {link}'
+    })
+  });
+
+  // Script attribute that overrides each message on a page script
+  const MESSAGE_ATTRIBUTES = Object.freeze({
+    loading: 'data-loading-text',
+    applyError: 'data-apply-error-text',
+    applyButton: 'data-apply-button-text',
+    retry: 'data-retry-text',
+    comparePlans: 'data-compare-text',
+    compareClear: 'data-compare-clear-text',
+    hospitalText: 'data-hospital-text',
+    resumeCopied: 'data-resume-copied-text',
+    resumeCopyError: 'data-resume-copy-error-text',
+    resumeEmailSubject: 'data-resume-email-subject',
+    resumeEmailBody: 'data-resume-email-text'
+  });
+
+  /**
+   * Get the message catalog language for the page
+   * @returns {string} Key of MESSAGES ('en' when the page language has no catalog)
+   */
+  function getPageLanguage() {
+    const language = getPageLocale().split('-')[0].toLowerCase();
+    return MESSAGES[language] ? language : 'en';
+  }
+
+  /**
+   * Get a script-generated UI string in the page language
+   * @param {string} key - Message key (see MESSAGES)
+   * @param {HTMLScriptElement} [scriptEl] - Page script whose data-*-text attribute overrides the catalog
+   * @returns {string} Message text
+   */
+  function t(key, scriptEl) {
+    const attribute = MESSAGE_ATTRIBUTES[key];
+    const override = attribute ? scriptEl?.getAttribute(attribute) : null;
+
+    if (override) return override;
+
+    const message = MESSAGES[getPageLanguage()][key] ?? MESSAGES.en[key];
+
+    if (message === undefined) {
+      console.warn(`[dpr-core] Unknown message key: ${key}`);
+      return key;
+    }
+
+    return message;
+  }
+
+  // ============================================================
+  // QUOTE RESUME LINKS
+  // ============================================================
+
+  /**
+   * Encode a value as URL-safe base64 JSON
+   * @param {Object} value - Value to encode
+   * @returns {string} base64url token
+   */
+  function encodeToken(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a URL-safe base64 JSON token
+   * @param {string} token - base64url token
+   * @returns {*} Decoded value
+   * @throws {Error} If the token is not valid base64 JSON
+   */
+  function decodeToken(token) {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /**
+   * Build a link that restores the current quote on any device
+   * Encodes only localStorage quote fields (never dpr_session_data), the
+   * 'plans' mode and the latest QuoteSetId
+   * @param {string} [baseUrl] - Results page URL (defaults to the current page)
+   * @returns {string|null} Resume URL, or null when there is no quote to resume
+   */
+  function buildResumeLink(baseUrl) {
+    const localData = getLocalStorageData();
+    if (!localData) return null;
+
+    const fields = {};
+    getFieldNames({ storage: 'local' }).forEach(name => {
+      const value = localData[name];
+      if (value !== null && value !== undefined && value !== '') {
+        fields[name] = value;
+      }
+    });
+
+    const token = encodeToken({
+      v: RESUME_VERSION,
+      f: fields,
+      p: localData.plans || null,
+      q: getResultsData()?.results?.QuoteSetId || null
+    });
+
+    const url = new URL(baseUrl || window.location.pathname, window.location.origin);
+    url.search = '';
+    url.searchParams.set(RESUME_PARAM, token);
+    return url.toString();
+  }
+
+  /**
+   * Restore quote inputs from a ?resume= token on the current URL
+   * Replaces every localStorage quote field (and the 'plans' mode) with the
+   * token's values, clearing the ones it does not carry, and removes the
+   * parameter from the URL; the caller then re-quotes from storage as on any page load
+   * Cached results are kept only when they are the quote the link was made from
+   * (same QuoteSetId), so a different quote is never rendered for the restored inputs
+   * @returns {Object|null} { fields, plans, quoteSetId, cachedQuote } or null if there was no valid token
+   */
+  function restoreFromResumeLink() {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(RESUME_PARAM);
+    if (!token) return null;
+
+    // Drop the token from the URL whether or not it is valid
+    url.searchParams.delete(RESUME_PARAM);
+    window.history.replaceState({}, '', url.toString());
+
+    let data;
+    try {
+      data = decodeToken(token);
+    } catch (e) {
+      console.warn('[dpr-core] Ignoring malformed resume link:', e);
+      return null;
+    }
+
+    if (!data || data.v !== RESUME_VERSION || typeof data.f !== 'object' || data.f === null) {
+      console.warn('[dpr-core] Ignoring unsupported resume link:', data);
+      return null;
+    }
+
+    // Only schema fields stored in localStorage are accepted (no personal data)
+    const fields = {};
+    getFieldNames({ storage: 'local' }).forEach(name => {
+      const value = data.f[name];
+      if ((typeof value === 'string' || typeof value === 'number') && String(value).length <= 50) {
+        fields[name] = value;
+      }
+    });
+
+    const plans = data.p === 'all' || data.p === 'suggested' ? data.p : null;
+    if (plans) fields.plans = plans;
+
+    // The token describes the whole quote: answers left over from an earlier
+    // quote on this device must not mix into it
+    const keptData = { ...(getLocalStorageData() || {}) };
+    [...getFieldNames({ storage: 'local' }), 'plans'].forEach(name => {
+      delete keptData[name];
+    });
+    setLocalStorageData({ ...keptData, ...fields });
+
+    const quoteSetId = typeof data.q === 'string' ? data.q : null;
+    const cachedQuote = !!quoteSetId && getResultsData()?.results?.QuoteSetId === quoteSetId;
+
+    if (!cachedQuote && getResultsData()) {
+      clearResultsData();
+    }
+
+    const restored = { fields, plans, quoteSetId, cachedQuote };
+
+    console.log('[dpr-core] Quote restored from resume link:', restored);
+    emit('quote-resumed', { source: 'dpr-core', ...restored });
+    return restored;
+  }
+
+  /**
+   * Copy text to the clipboard (Clipboard API with a textarea fallback)
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} Whether the text was copied
+   */
+  async function copyToClipboard(text) {
+    try {
+      if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return true;
+      }
+    } catch (e) {
+      console.warn('[dpr-core] Clipboard API failed, trying fallback:', e);
+    }
+
+    try {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.position = 'absolute';
+      textarea.style.left = '-9999px';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      return copied;
+    } catch (e) {
+      console.warn('[dpr-core] Copy to clipboard failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Wire a results page's "share / resume my quote" actions
+   * [dpr-results="resume-link"] shows the link (input value or text, refreshed on each quote),
+   * [dpr-results="resume-copy"] copies it and [dpr-results="resume-email"] opens an email draft
+   * @param {Object} options
+   * @param {string} options.source - Page script name reported in resume-link-shared
+   * @param {HTMLScriptElement} [options.scriptEl] - Page script whose data-*-text attributes override messages
+   */
+  function setupResumeActions({ source, scriptEl } = {}) {
+    const linkEls = document.querySelectorAll('[dpr-results="resume-link"]');
+    const copyTriggers = document.querySelectorAll('[dpr-results="resume-copy"]');
+    const emailTriggers = document.querySelectorAll('[dpr-results="resume-email"]');
+
+    if (!linkEls.length && !copyTriggers.length && !emailTriggers.length) return;
+
+    // Keep displayed links in step with the latest quote
+    on('quote-loaded', () => {
+      const link = buildResumeLink();
+      if (!link) return;
+
+      linkEls.forEach(el => {
+        if ('value' in el) {
+          el.value = link;
+        } else {
+          el.textContent = link;
+        }
+      });
+    });
+
+    copyTriggers.forEach(trigger => {
+      trigger.addEventListener('click', async (e) => {
+        e.preventDefault();
+
+        const link = buildResumeLink();
+        if (!link) return;
+
+        const originalText = trigger.textContent;
+        const copied = await copyToClipboard(link);
+        trigger.textContent = t(copied ? 'resumeCopied' : 'resumeCopyError', scriptEl);
+
+        if (copied) {
+          emit('resume-link-shared', { source, method: 'copy' });
+        }
+
+        setTimeout(() => {
+          trigger.textContent = originalText;
+        }, 2000);
+      });
+    });
+
+    emailTriggers.forEach(trigger => {
+      trigger.addEventListener('click', (e) => {
+        e.preventDefault();
+
+        const link = buildResumeLink();
+        if (!link) return;
+
+        // No recipient is prefilled - the visitor addresses it to themselves
+        const subject = t('resumeEmailSubject', scriptEl);
+        const body = t('resumeEmailBody', scriptEl).replace('{link}', link);
+
+        emit('resume-link-shared', { source, method: 'email' });
+        window.location.href = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+      });
+    });
+  }
+
+  // ============================================================
+  // EVENT BUS
+  // ============================================================
+
+  // Prefix for every lifecycle event dispatched on window
+  const EVENT_PREFIX = 'dpr:';
+
+  // Last detail emitted per event name, replayed to late subscribers
+  const lastEventDetails = {};
+
+  /**
+   * Emit a lifecycle event as a `dpr:<name>` CustomEvent on window
+   * Events: quote-step-viewed, quote-step-completed, quote-submitted,
+   * quote-requested, quote-loaded, quote-failed, plans-reordered, plans-populated,
+   * hospital-toggled, compare-started, apply-clicked, apply-failed, quebec-ready,
+   * quote-resumed, resume-link-shared, quote-stale, results-updated, inputs-changed
+   * @param {string} name - Event name without the prefix (e.g. 'quote-loaded')
+   * @param {Object} [detail] - Event payload (always includes `source`, the emitting script)
+   */
+  function emit(name, detail = {}) {
+    lastEventDetails[name] = detail;
+    window.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}${name}`, { detail }));
+  }
+
+  /**
+   * Subscribe to a lifecycle event, replaying the last emission to late subscribers
+   * @param {string} name - Event name without the prefix
+   * @param {Function} handler - Receives the event detail
+   * @param {Object} [options] - Subscription options
+   * @param {boolean} [options.replay=true] - Call handler with the last detail if already emitted
+   * @param {boolean} [options.once=false] - Unsubscribe after the first call (replay included)
+   * @returns {Function} Unsubscribe function
+   */
+  function on(name, handler, { replay = true, once = false } = {}) {
+    const type = `${EVENT_PREFIX}${name}`;
+    let replayTimer = null;
+
+    const run = detail => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`[dpr-core] ${type} handler failed:`, error);
+      }
+    };
+
+    const unsubscribe = () => {
+      clearTimeout(replayTimer);
+      window.removeEventListener(type, listener);
+    };
+
+    // A fresh emission supersedes a replay that has not run yet (it would be stale)
+    const listener = event => {
+      clearTimeout(replayTimer);
+      if (once) unsubscribe();
+      run(event.detail);
+    };
+
+    // Replay asynchronously so subscribers always run after the current call stack
+    if (replay && name in lastEventDetails) {
+      const detail = lastEventDetails[name];
+      replayTimer = setTimeout(() => {
+        if (once) unsubscribe();
+        run(detail);
+      }, 0);
+    }
+
+    window.addEventListener(type, listener);
+    return unsubscribe;
+  }
+
+  // ============================================================
+  // ANALYTICS (window.dataLayer)
+  // ============================================================
+
+  /**
+   * dataLayer event name + parameters for each lifecycle event
+   * Parameters use GA4 snake_case; every push also carries dpr_source
+   */
+  const ANALYTICS_EVENTS = Object.freeze({
+    'quote-step-viewed': detail => ['dpr_quote_step_view', {
+      step_name: detail.stepName,
+      step_number: detail.stepNumber
+    }],
+    'quote-step-completed': detail => ['dpr_quote_step_complete', {
+      step_name: detail.stepName,
+      step_number: detail.stepNumber
+    }],
+    'quote-submitted': detail => ['dpr_quote_submit', {
+      view_all: detail.viewAll
+    }],
+    'quote-loaded': detail => ['dpr_quotes_returned', {
+      quote_set_id: detail.results?.QuoteSetId,
+      plan_count: detail.results?.PlanQuotes?.length || 0,
+      cached: detail.cached
+    }],
+    'quote-failed': detail => ['dpr_api_error', {
+      api: 'quoteset',
+      error_message: detail.error,
+      error_status: detail.status
+    }],
+    'hospital-toggled': detail => ['dpr_hospital_toggle', {
+      plan_name: detail.planName,
+      checked: detail.checked,
+      premium: detail.premium
+    }],
+    'compare-started': detail => ['dpr_compare_start', {
+      plan_names: detail.planNames,
+      plan_count: detail.planNames?.length || 0
+    }],
+    'apply-clicked': detail => ['dpr_apply_click', {
+      plan_name: detail.planName,
+      premium: detail.premium,
+      value: detail.premium,
+      currency: PRICE_CURRENCY
+    }],
+    'quote-resumed': detail => ['dpr_quote_resume', {
+      quote_set_id: detail.quoteSetId,
+      cached_quote: detail.cachedQuote,
+      field_count: Object.keys(detail.fields || {}).length,
+      plans_mode: detail.plans
+    }],
+    'resume-link-shared': detail => ['dpr_resume_link_share', {
+      method: detail.method
+    }],
+    'apply-failed': detail => ['dpr_api_error', {
+      api: 'applicationUrl',
+      plan_name: detail.planName,
+      error_message: detail.error
+    }]
+  });
+
+  /**
+   * Push an event to window.dataLayer (created if GTM has not loaded yet)
+   * @param {string} event - dataLayer event name
+   * @param {Object} [params] - Event parameters
+   */
+  function trackEvent(event, params = {}) {
+    if (!ANALYTICS_ENABLED) return;
+
+    try {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push({ event, ...params });
+    } catch (error) {
+      console.warn('[dpr-core] dataLayer push failed:', error);
+    }
+  }
+
+  /**
+   * Mirror lifecycle events into window.dataLayer
+   * Subscribes without replay, so each emission is pushed exactly once
+   */
+  function setupAnalytics() {
+    Object.entries(ANALYTICS_EVENTS).forEach(([name, toDataLayer]) => {
+      on(name, detail => {
+        const [event, params] = toDataLayer(detail || {});
+        trackEvent(event, { dpr_source: detail?.source, ...params });
+      }, { replay: false });
+    });
+  }
+
+  // ============================================================
+  // CROSS-TAB SYNC
+  // ============================================================
+
+  /**
+   * Parse a raw dpr_local_data value from a storage event
+   * @param {string|null} raw - Stored JSON string
+   * @returns {Object} Parsed data or {} if missing or invalid
+   */
+  function parseStoredData(raw) {
+    try {
+      return (raw && JSON.parse(raw)) || {};
+    } catch (e) {
+      console.warn('[dpr-core] Ignoring unparseable storage value:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Emit inputs-changed when another tab writes dpr_local_data
+   * Storage events never fire in the tab that made the change, so tabs
+   * reacting to it cannot echo changes back and forth
+   */
+  function relayCrossTabChanges() {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== LOCAL_STORAGE_KEY) return;
+
+      const oldData = parseStoredData(e.oldValue);
+      const localData = parseStoredData(e.newValue);
+
+      const changedFields = [...new Set([...Object.keys(oldData), ...Object.keys(localData)])]
+        .filter(fieldName => toComparableValue(oldData[fieldName]) !== toComparableValue(localData[fieldName]));
+
+      if (!changedFields.length) return;
+
+      console.log('[dpr-core] Quote inputs changed in another tab:', changedFields);
+      emit('inputs-changed', { source: 'dpr-core', changedFields, localData });
+    });
+  }
+
+  /**
+   * Follow quote input changes made in another tab (dpr:inputs-changed) on a page
+   * Changes are collected until the other tab has been quiet for CROSS_TAB_SYNC_DELAY;
+   * then onSync refills the page from dpr_local_data and the page re-quotes when one of
+   * requoteFields changed, or re-sorts otherwise. While required fields are missing
+   * (e.g. a field cleared to retype it) the page keeps its current quote: no re-quote,
+   * no re-sort and no redirect
+   * @param {Object} options
+   * @param {string[]} options.requoteFields - Fields whose change needs a new quote
+   * @param {Function} [options.onSync] - (changedFields, localData) => refill forms and URL
+   * @param {Function} options.onRequote - Request a new quote
+   * @param {Function} [options.onResort] - Re-apply plan filtering and ordering
+   * @param {Object} [options.validation] - validateRequiredFields() options (the page's own load check)
+   * @returns {Function} Unsubscribe function (also drops pending changes)
+   */
+  function setupCrossTabSync({ requoteFields = [], onSync, onRequote, onResort, validation = {} } = {}) {
+    const pendingFields = new Set();
+    let syncTimer = null;
+
+    const applyChanges = () => {
+      const changedFields = [...pendingFields];
+      const localData = getLocalStorageData() || {};
+
+      pendingFields.clear();
+
+      try {
+        onSync?.(changedFields, localData);
+
+        if (!validateRequiredFields(validation)) {
+          console.log('[dpr-core] Quote inputs from another tab are incomplete - keeping the current quote');
+          return;
+        }
+
+        if (changedFields.some(fieldName => requoteFields.includes(fieldName))) {
+          onRequote?.();
+        } else {
+          onResort?.();
+        }
+      } catch (error) {
+        console.error('[dpr-core] Applying cross-tab changes failed:', error);
+      }
+    };
+
+    const unsubscribe = on('inputs-changed', ({ changedFields }) => {
+      changedFields.forEach(fieldName => pendingFields.add(fieldName));
+
+      clearTimeout(syncTimer);
+      syncTimer = setTimeout(applyChanges, CROSS_TAB_SYNC_DELAY);
+    }, { replay: false });
+
+    return () => {
+      clearTimeout(syncTimer);
+      unsubscribe();
+    };
+  }
+
+  // ============================================================
+  // API FUNCTIONS
+  // ============================================================
+
+  // fetch-compatible function replacing the network (set by utilities/dpr-mock.js)
+  let transport = null;
+  let resolveTransport;
+  const transportReady = new Promise(resolve => { resolveTransport = resolve; });
+
+  /**
+   * Wait for the given number of milliseconds
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Route API calls through a fetch-compatible function instead of the network
+   * @param {Function|null} fetchImpl - (url, init) => Promise<Response-like>, or null to restore fetch
+   */
+  function setTransport(fetchImpl) {
+    transport = typeof fetchImpl === 'function' ? fetchImpl : null;
+
+    if (transport) {
+      console.log('[dpr-core] Custom API transport registered');
+      resolveTransport();
+    }
+  }
+
+  /**
+   * fetch() wrapper used by every API call
+   * In mock mode, waits for the mock transport so no request reaches the real API
+   * @param {string} url - Request URL
+   * @param {Object} [init] - fetch() options
+   * @returns {Promise<Response>} Response (or Response-like object from the transport)
+   */
+  async function apiFetch(url, init) {
+    if (MOCK_MODE && !transport) {
+      console.log('[dpr-core] Mock mode - waiting for utilities/dpr-mock.js...');
+
+      const registered = await Promise.race([
+        transportReady.then(() => true),
+        wait(MOCK_TRANSPORT_WAIT).then(() => false)
+      ]);
+
+      if (!registered) {
+        throw new Error('Mock mode is enabled but utilities/dpr-mock.js did not load');
+      }
+    }
+
+    return transport ? transport(url, init) : fetch(url, init);
+  }
+
+  /**
+   * Send a single /quoteset request, aborting it after the timeout or when the caller's signal fires
+   * Errors carry `retryable` (5xx, network failure, timeout) and `status` when the API answered;
+   * caller cancellation throws an error named 'AbortError'
+   * @param {string} rootApiURL - Root API URL from the calling script
+   * @param {Object} payload - Request payload from buildPayload()
+   * @param {number} timeoutMs - Abort the request after this many ms (0 disables)
+   * @param {AbortSignal} [signal] - Caller signal that cancels the request
+   * @returns {Promise<Object>} API response with QuoteSetId and PlanQuotes
+   */
+  async function requestQuotes(rootApiURL, payload, timeoutMs, signal) {
+    const controller = new AbortController();
+    const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) {
+      controller.abort();
+    } else if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const res = await apiFetch(`${rootApiURL || DEFAULT_API_URL}/quoteset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+
+      if (!res.ok) {
+        const errorText = await res.text();
+        console.error('API Error Response:', errorText);
+        const error = new Error(`Quote API failed with status: ${res.status}`);
+        error.status = res.status;
+        error.retryable = res.status >= 500;
+        throw error;
+      }
+
+      const json = await res.json();
+
+      // Drop malformed plans/scenarios; throws if nothing usable is left
+      return validateQuoteResponse(json);
+    } catch (error) {
+      if (error.status) throw error;
+
+      if (signal?.aborted) {
+        const abortError = new Error('Quote request cancelled');
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`Quote API timed out after ${timeoutMs}ms`);
+        timeoutError.retryable = true;
+        throw timeoutError;
+      }
+
+      // fetch() rejects with a TypeError on network failure
+      if (error.name === 'TypeError') {
+        error.retryable = true;
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Fetch quotes from API with timeout and exponential backoff
+   * 5xx, network failures and timeouts are retried; 4xx errors fail immediately
+   * @param {string} rootApiURL - Root API URL from the calling script
+   * @param {Object} payload - Request payload from buildPayload()
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Per-attempt timeout in ms (default DEFAULT_REQUEST_TIMEOUT)
+   * @param {number} [options.retries] - Retries after the first attempt (default DEFAULT_RETRY_COUNT)
+   * @param {number} [options.retryDelay] - First backoff delay in ms, doubled each retry (default DEFAULT_RETRY_DELAY)
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retries
+   * @returns {Promise<Object>} API response with QuoteSetId and PlanQuotes
+   * @throws {Error} If the request fails after all retries, returns a 4xx status or is cancelled (name 'AbortError')
+   */
+  async function fetchQuotes(rootApiURL, payload, { timeout, retries, retryDelay, signal } = {}) {
+    const timeoutMs = Number.isFinite(timeout) ? timeout : DEFAULT_REQUEST_TIMEOUT;
+    const maxRetries = Number.isFinite(retries) ? Math.max(0, retries) : DEFAULT_RETRY_COUNT;
+    const baseDelay = Number.isFinite(retryDelay) ? retryDelay : DEFAULT_RETRY_DELAY;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestQuotes(rootApiURL, payload, timeoutMs, signal);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log('[dpr-core] Quote request cancelled');
+          throw error;
+        }
+
+        if (!error.retryable || attempt >= maxRetries) {
+          console.error('Fetch error:', error);
+          throw error; // Re-throw to allow caller to handle
+        }
+
+        const delay = baseDelay * 2 ** attempt;
+        console.warn(`[dpr-core] ${error.message} - retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+        await wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Fetch application URL from API using confirmation number
+   * @param {string} rootApiURL - Root API URL from the calling script
+   * @param {string} confirmationNumber - The quote confirmation number
+   * @returns {Promise<string>} Application URL
+   */
+  async function getApplicationUrl(rootApiURL, confirmationNumber) {
+    // Build base URL
+    let apiUrl = `${rootApiURL || DEFAULT_API_URL}/applicationUrl/${confirmationNumber}`;
+
+    // Append lang parameter if page is French Canadian
+    const htmlLang = document.documentElement.lang;
+    if (htmlLang && htmlLang.toLowerCase() === 'fr-ca') {
+      apiUrl += '?lang=fr';
+    }
+
+    const res = await apiFetch(apiUrl);
+
+    if (!res.ok) {
+      throw new Error(`Network error: ${res.status}`);
+    }
+
+    const raw = await res.text();
+    let url;
+
+    try {
+      url = JSON.parse(raw).ApplicationUrl;
+    } catch {
+      url = raw;
+    }
+
+    if (!url || !url.startsWith('http')) {
+      throw new Error('Invalid URL received');
+    }
+
+    return url;
+  }
+
+  /**
+   * Parse a data-handoff-params value into an allowlist
+   * @param {string|string[]|null} [allowlist] - Field names (array or comma-separated);
+   *   null/undefined uses DEFAULT_HANDOFF_PARAMS, "none" or "" disables the hand-off
+   * @returns {string[]} Attribution field names
+   */
+  function getHandoffParams(allowlist) {
+    if (allowlist === null || allowlist === undefined) {
+      return [...DEFAULT_HANDOFF_PARAMS];
+    }
+
+    const list = Array.isArray(allowlist) ? allowlist : String(allowlist).split(',');
+    return list
+      .map(name => String(name).trim())
+      .filter(name => name && name !== 'none');
+  }
+
+  /**
+   * Append allowlisted attribution fields to the application URL as query parameters
+   * Uses the same values as the quote payload (e.g. utm_source, last_gclid, channel);
+   * empty fields and parameters the URL already carries are skipped
+   * @param {string} url - Application URL from getApplicationUrl()
+   * @param {string|string[]|null} [allowlist] - See getHandoffParams()
+   * @returns {string} URL with attribution parameters, or the original URL on failure
+   */
+  function appendAttributionToUrl(url, allowlist) {
+    const params = getHandoffParams(allowlist);
+    if (!params.length) return url;
+
+    try {
+      const target = new URL(url);
+      const fields = buildAttributionFields(getAttributionData());
+
+      params.forEach(name => {
+        const value = fields[name];
+        if (value === null || value === undefined || value === '') return;
+        if (target.searchParams.has(name)) return;
+        target.searchParams.set(name, String(value));
+      });
+
+      return target.toString();
+    } catch (err) {
+      console.warn('[dpr-core] Attribution hand-off failed, using raw URL', err);
+      return url;
+    }
+  }
+
+  /**
+   * Decorate URLs with GTM auto-linker for cross-domain tracking
+   * @param {string} url - The URL to decorate
+   * @returns {string} Decorated URL or original if decoration fails
+   */
+  function decorateWithGtmAutoLinker(url) {
+    try {
+      if (typeof gtag === 'undefined') {
+        return url;
+      }
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.style.position = 'absolute';
+      a.style.left = '-9999px';
+      document.body.appendChild(a);
+
+      a.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+      const decorated = a.href;
+      a.remove();
+      return decorated || url;
+    } catch (err) {
+      console.warn('[dpr-core] Auto-linker decoration failed, using raw URL', err);
+      return url;
+    }
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  const DPR = {
+    DEFAULT_API_URL,
+    DEFAULT_CACHE_TTL,
+    DEFAULT_REQUEST_TIMEOUT,
+    DEFAULT_RETRY_COUNT,
+    CROSS_TAB_SYNC_DELAY,
+    MOCK_MODE,
+
+    // Storage
+    getLocalStorageData,
+    getSessionStorageData,
+    getAttributionData,
+    getResultsData,
+    setLocalStorageData,
+    setSessionStorageData,
+    updateLocalStorage,
+    updateSessionStorage,
+    removeLocalStorageField,
+    saveResultsData,
+
+    // Response caching
+    hashPayload,
+    describePayload,
+    getCachedResults,
+    getChangedQuoteFields,
+
+    // Field schema & validation
+    FIELD_SCHEMA,
+    getFieldNames,
+    getFieldStorage,
+    isUrlVisible,
+    isFieldMissing,
+    isFieldRequired,
+    getMissingFields,
+    validateRequiredFields,
+    hasFilterFields,
+
+    // Form fields
+    getFieldValue,
+    setFieldValue,
+    syncAllFieldsWithName,
+
+    // Payload & API
+    buildPayload,
+    validateQuoteResponse,
+
+    // Price formatting
+    DEFAULT_PRICE_FORMAT,
+    getPageLocale,
+    formatPrice,
+    formatPriceText,
+
+    // Event bus & analytics
+    emit,
+    on,
+    trackEvent,
+
+    // Messages
+    MESSAGES,
+    getPageLanguage,
+    t,
+
+    fetchQuotes,
+    getApplicationUrl,
+    decorateWithGtmAutoLinker,
+    DEFAULT_HANDOFF_PARAMS,
+    appendAttributionToUrl,
+
+    // Quote resume links
+    buildResumeLink,
+    restoreFromResumeLink,
+    copyToClipboard,
+    setupResumeActions,
+
+    // Cross-tab sync
+    setupCrossTabSync,
+
+    setTransport,
+
+    /**
+     * Run a callback with the core API (mirrors the queued array API)
+     * @param {Function} callback - Receives window.DPR
+     */
+    push(callback) {
+      try {
+        callback(DPR);
+      } catch (error) {
+        console.error('[dpr-core] Queued callback failed:', error);
+      }
+    }
+  };
+
+  // Subscribe analytics before queued page scripts can emit
+  setupAnalytics();
+
+  // Relay dpr_local_data changes from other tabs as inputs-changed
+  relayCrossTabChanges();
+
+  // Drain callbacks queued by page scripts that loaded before the core
+  const queued = Array.isArray(window.DPR) ? window.DPR : [];
+  window.DPR = DPR;
+  queued.forEach(callback => DPR.push(callback));
+})();
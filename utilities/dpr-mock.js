@@ -0,0 +1,325 @@
+(function() {
+  /*
+   * ------------------------------------------------------------
+   *  DPR Mock API (Fixture Mode)
+   * ------------------------------------------------------------
+   *
+   *  FEATURES:
+   *    ✓ Answers POST /quoteset and GET /applicationUrl/{id} offline
+   *    ✓ Recorded PlanQuotes with Recommendation, QuoteOptions
+   *      (hospital accommodation) and FilterScenarios
+   *    ✓ Premiums scale with Age / Dependents so form edits show
+   *    ✓ Simulated latency, HTTP errors, network failures, timeouts
+   *    ✓ Runtime tweaks from the console: window.DPRMock.configure()
+   *
+   *  USAGE:
+   *    <script src="utilities/dpr-core.js" data-mock="true"></script>
+   *    <script src="utilities/dpr-mock.js"
+   *            data-mock-latency="800"
+   *            data-mock-error="503"
+   *            data-mock-error-count="2"></script>
+   *
+   *  ATTRIBUTES:
+   *    - data-mock-latency       Response delay in ms (default: 600)
+   *    - data-mock-error         "", HTTP status (e.g. 400, 503),
+   *                              "network" or "timeout" (default: "")
+   *    - data-mock-error-count   Fail only the first N matching
+   *                              requests, 0 = every request (default: 0)
+   *    - data-mock-error-on      "quoteset", "applicationUrl" or "all"
+   *                              (default: "quoteset")
+   *
+   *  REQUIREMENTS:
+   *    - utilities/dpr-core.js with data-mock="true" (otherwise this
+   *      script does nothing, so it is safe to leave on a page)
+   *
+   * ------------------------------------------------------------
+   */
+
+  // ============================================================
+  // CONFIGURATION
+  // ============================================================
+
+  const script = document.currentScript;
+
+  const config = {
+    latency: parseInt(script?.getAttribute("data-mock-latency") || "600", 10),
+    error: script?.getAttribute("data-mock-error") || "",
+    errorCount: parseInt(script?.getAttribute("data-mock-error-count") || "0", 10),
+    errorOn: script?.getAttribute("data-mock-error-on") || "quoteset"
+  };
+
+  // Simulated failures served so far (compared against config.errorCount)
+  let failuresServed = 0;
+
+  // ============================================================
+  // FIXTURES
+  // ============================================================
+
+  // Recorded monthly base premiums for a 30-year-old single applicant
+  const PLAN_FIXTURES = [
+    { PlanName: 'ZONE FUNDAMENTAL PLAN', basePremium: 31.45, hospitalPremium: null },
+    { PlanName: 'ZONE 2', basePremium: 48.1, hospitalPremium: null },
+    { PlanName: 'ZONE 3', basePremium: 62.35, hospitalPremium: null },
+    { PlanName: 'ZONE 4', basePremium: 79.9, hospitalPremium: 6.15 },
+    { PlanName: 'ZONE 5', basePremium: 96.2, hospitalPremium: 6.15 },
+    { PlanName: 'ZONE 6', basePremium: 124.75, hospitalPremium: 7.4 },
+    { PlanName: 'ZONE 7', basePremium: 158.3, hospitalPremium: 7.4 },
+    { PlanName: 'LINK 1', basePremium: 88.6, hospitalPremium: 6.15 },
+    { PlanName: 'LINK 2', basePremium: 117.05, hospitalPremium: 6.15 },
+    { PlanName: 'LINK 3', basePremium: 149.5, hospitalPremium: 7.4 },
+    { PlanName: 'LINK 4', basePremium: 211.85, hospitalPremium: 7.4 }
+  ];
+
+  // Recorded FilterScenarios (null criteria are wildcards, planName casing as returned by the API)
+  const FILTER_SCENARIOS = [
+    { criteria: { coverOption: 'DentalDrug', coverageLevel: 'Basic' }, recommendations: ['Zone 5', 'Link 2', 'Zone Fundamental Plan'] },
+    { criteria: { coverOption: 'DentalDrug', coverageLevel: 'Comprehensive' }, recommendations: ['Link 4', 'Link 3', 'Zone 7'] },
+    { criteria: { coverOption: 'Drug', coverageLevel: 'Basic' }, recommendations: ['Link 2', 'Link 1', 'Zone 4'] },
+    { criteria: { coverOption: 'Drug', coverageLevel: 'Comprehensive' }, recommendations: ['Link 4', 'Link 3', 'Link 1'] },
+    { criteria: { coverOption: 'Dental', coverageLevel: 'Basic' }, recommendations: ['Zone 2', 'Zone 3', 'Zone Fundamental Plan'] },
+    { criteria: { coverOption: 'Dental', coverageLevel: 'Comprehensive' }, recommendations: ['Link 4', 'Zone 7', 'Zone 3'] }
+  ].map(({ criteria, recommendations }) => ({
+    criteria: { ...criteria, hasPreExistingCondition: null, wantsPreExistingDrugCoverage: null },
+    recommendations: recommendations.map(planName => ({ planName }))
+  }));
+
+  // InsuranceReason → FilterScenarios coverOption (same mapping as the results pages)
+  const COVER_OPTIONS = { 0: 'DentalDrug', 1: 'Drug', 2: 'Dental' };
+
+  // ============================================================
+  // FIXTURE BUILDERS
+  // ============================================================
+
+  /**
+   * Scale a base premium by the applicant's age and dependents
+   * @param {number} basePremium - Recorded premium for a 30-year-old single applicant
+   * @param {Object} payload - /quoteset request payload
+   * @returns {number} Premium rounded to cents
+   */
+  function calculatePremium(basePremium, payload) {
+    const age = Number(payload.Age) || 30;
+    const dependents = Number(payload.Dependents) || 0;
+    const ageFactor = 1 + Math.max(0, age - 30) * 0.025;
+    const familyFactor = 1 + dependents * 0.6;
+
+    return Math.round(basePremium * ageFactor * familyFactor * 100) / 100;
+  }
+
+  /**
+   * Get recommended plan names for the payload's InsuranceReason / CoverageTier
+   * @param {Object} payload - /quoteset request payload
+   * @returns {string[]} Upper-case plan names in recommendation order
+   */
+  function getRecommendedPlans(payload) {
+    const coverOption = COVER_OPTIONS[payload.InsuranceReason] || 'DentalDrug';
+    const coverageLevel = payload.CoverageTier === 'comprehensive' ? 'Comprehensive' : 'Basic';
+
+    const scenario = FILTER_SCENARIOS.find(s =>
+      s.criteria.coverOption === coverOption && s.criteria.coverageLevel === coverageLevel
+    );
+
+    return scenario ? scenario.recommendations.map(r => r.planName.toUpperCase()) : [];
+  }
+
+  /**
+   * Build a /quoteset response for the given payload
+   * @param {Object} payload - /quoteset request payload
+   * @returns {Object} Response with QuoteSetId, PlanQuotes and FilterScenarios
+   */
+  function buildQuoteSet(payload) {
+    const quoteSetId = `MOCK-${Date.now().toString(36).toUpperCase()}`;
+    const recommended = getRecommendedPlans(payload);
+
+    const planQuotes = PLAN_FIXTURES.map((plan, index) => ({
+      PlanName: plan.PlanName,
+      Premium: calculatePremium(plan.basePremium, payload),
+      ConfirmationNumber: `${quoteSetId}-${index + 1}`,
+      Recommendation: recommended.indexOf(plan.PlanName) + 1,
+      QuoteOptions: plan.hospitalPremium === null ? [] : [{
+        OptionName: 'Hospital Accommodation',
+        OptionPremium: calculatePremium(plan.hospitalPremium, payload)
+      }]
+    }));
+
+    return {
+      QuoteSetId: quoteSetId,
+      PlanQuotes: planQuotes,
+      FilterScenarios: { scenarios: FILTER_SCENARIOS }
+    };
+  }
+
+  // ============================================================
+  // RESPONSE HELPERS
+  // ============================================================
+
+  /**
+   * Create a minimal fetch Response-like object
+   * @param {number} status - HTTP status code
+   * @param {Object} body - JSON body
+   * @returns {Object} Object with ok, status, json() and text()
+   */
+  function mockResponse(status, body) {
+    const text = JSON.stringify(body);
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => JSON.parse(text),
+      text: async () => text
+    };
+  }
+
+  /**
+   * Create the error fetch() rejects with when a request is aborted
+   * @returns {DOMException} AbortError
+   */
+  function abortError() {
+    return new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  /**
+   * Wait for the configured latency, rejecting early if the request is aborted
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Request abort signal
+   * @returns {Promise<void>}
+   */
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const timer = setTimeout(resolve, ms);
+
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Decide whether this request should get the configured simulated error
+   * @param {string} endpoint - 'quoteset' or 'applicationUrl'
+   * @returns {boolean} True if the request should fail
+   */
+  function shouldFail(endpoint) {
+    if (!config.error) return false;
+    if (config.errorOn !== 'all' && config.errorOn !== endpoint) return false;
+    if (config.errorCount > 0 && failuresServed >= config.errorCount) return false;
+
+    failuresServed++;
+    return true;
+  }
+
+  /**
+   * Produce the configured simulated failure
+   * @param {AbortSignal} [signal] - Request abort signal
+   * @returns {Promise<Object>} Error response, or a rejection for network/timeout
+   */
+  function simulateError(signal) {
+    console.warn(`[dpr-mock] Simulating error: ${config.error}`);
+
+    if (config.error === 'network') {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    }
+
+    // Never answer - the caller's AbortController timeout ends the request
+    if (config.error === 'timeout') {
+      return new Promise((resolve, reject) => {
+        signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+      });
+    }
+
+    const status = parseInt(config.error, 10) || 500;
+    return Promise.resolve(mockResponse(status, { Message: `Simulated ${status} error` }));
+  }
+
+  // ============================================================
+  // MOCK TRANSPORT
+  // ============================================================
+
+  /**
+   * fetch-compatible handler for the quote API endpoints
+   * @param {string} url - Request URL
+   * @param {Object} [init] - fetch() options
+   * @returns {Promise<Object>} Response-like object
+   */
+  async function mockFetch(url, init = {}) {
+    const requestUrl = new URL(url, window.location.href);
+    const { pathname } = requestUrl;
+    const method = (init.method || 'GET').toUpperCase();
+
+    let endpoint = null;
+    if (method === 'POST' && pathname.endsWith('/quoteset')) endpoint = 'quoteset';
+    if (method === 'GET' && pathname.includes('/applicationUrl/')) endpoint = 'applicationUrl';
+
+    console.log(`[dpr-mock] ${method} ${pathname}`);
+
+    await delay(config.latency, init.signal);
+
+    if (!endpoint) {
+      console.warn(`[dpr-mock] No fixture for ${method} ${pathname}`);
+      return mockResponse(404, { Message: 'Not found' });
+    }
+
+    if (shouldFail(endpoint)) {
+      return simulateError(init.signal);
+    }
+
+    if (endpoint === 'quoteset') {
+      let payload = {};
+      try {
+        payload = JSON.parse(init.body || '{}');
+      } catch (e) {
+        return mockResponse(400, { Message: 'Invalid JSON payload' });
+      }
+
+      return mockResponse(200, buildQuoteSet(payload));
+    }
+
+    // applicationUrl - echo the confirmation number and language back
+    const confirmationNumber = decodeURIComponent(pathname.split('/').pop());
+    const applicationUrl = new URL('/mock-application', window.location.origin);
+    applicationUrl.searchParams.set('confirmation', confirmationNumber);
+
+    const lang = requestUrl.searchParams.get('lang');
+    if (lang) applicationUrl.searchParams.set('lang', lang);
+
+    return mockResponse(200, { ApplicationUrl: applicationUrl.toString() });
+  }
+
+  /**
+   * Update mock behaviour at runtime (e.g. from the browser console)
+   * @param {Object} options - Any of latency, error, errorCount, errorOn
+   */
+  function configure(options = {}) {
+    Object.assign(config, options);
+    failuresServed = 0;
+    console.log('[dpr-mock] Configuration updated:', { ...config });
+  }
+
+  // ============================================================
+  // REGISTRATION
+  // ============================================================
+
+  window.DPRMock = {
+    configure,
+    buildQuoteSet,
+    PLAN_FIXTURES,
+    FILTER_SCENARIOS
+  };
+
+  // Register the transport once the DPR core is loaded (only in mock mode)
+  window.DPR = window.DPR || [];
+  window.DPR.push(() => {
+    if (!DPR.MOCK_MODE) {
+      console.log('[dpr-mock] Mock mode off (add data-mock="true" to dpr-core.js) - API calls use the network');
+      return;
+    }
+
+    DPR.setTransport(mockFetch);
+    console.log('[dpr-mock] Answering /quoteset and /applicationUrl from fixtures', { ...config });
+  });
+})();
@@ -8,7 +8,7 @@
    *    ✓ Clones plan cards from source container to target locations
    *    ✓ Preserves full interactivity (Apply buttons, hospital checkboxes)
    *    ✓ Re-wires all event handlers on cloned elements
-   *    ✓ Coordinates with plan-card-display.js via CustomEvent
+   *    ✓ Coordinates with plan-card-display.js via the DPR event bus
    *
    *  USAGE:
    *    Source container:
@@ -21,9 +21,10 @@
    *      <div dpr-plan-injector="ZONE FUNDAMENTAL, ZONE 5"></div>
    *
    *  REQUIREMENTS:
+   *    - utilities/dpr-core.js (window.DPR) on the page
    *    - plan-card-display.js must load first
-   *    - Listens for 'plans-populated' CustomEvent
-   *    - Same data-api-url attribute as plan-card-display.js
+   *    - Listens for 'plans-populated' on the DPR event bus (DPR.on)
+   *    - Same data-api-url and data-price-* attributes as plan-card-display.js
    *
    * ------------------------------------------------------------
    */
@@ -32,96 +33,22 @@
   // CONFIGURATION
   // ============================================================
 
-  // Root API URL
-  const rootApiURL = document.currentScript?.getAttribute("data-api-url") || "https://qagsd2cins.greenshield.ca";
+  // Root API URL (unset: the core falls back to DPR.DEFAULT_API_URL)
+  const rootApiURL = document.currentScript?.getAttribute("data-api-url");
 
-  // ============================================================
-  // STORAGE HELPER FUNCTIONS
-  // ============================================================
-
-  /**
-   * Retrieve non-personal quote data from localStorage
-   * @returns {Object|null} Parsed localStorage data or null if unavailable
-   */
-  function getLocalStorageData() {
-    try {
-      const raw = localStorage.getItem('dpr_local_data');
-      if (!raw) return null;
-      return JSON.parse(raw);
-    } catch (e) {
-      console.warn('[plan-injector] Failed to read from localStorage:', e);
-      return null;
-    }
-  }
+  // This script element - its data-*-text attributes override DPR.t() messages
+  const currentScript = document.currentScript;
 
-  // ============================================================
-  // API FUNCTIONS
-  // ============================================================
-
-  /**
-   * Fetch application URL from API using confirmation number
-   * @param {string} confirmationNumber - The quote confirmation number
-   * @returns {Promise<string>} Application URL
-   */
-  async function getApplicationUrl(confirmationNumber) {
-    // Build base URL
-    let apiUrl = `${rootApiURL}/applicationUrl/${confirmationNumber}`;
-
-    // Append lang parameter if page is French Canadian
-    const htmlLang = document.documentElement.lang;
-    if (htmlLang && htmlLang.toLowerCase() === 'fr-ca') {
-      apiUrl += '?lang=fr';
-    }
+  // Price display (same data-price-* attributes as plan-card-display.js)
+  const priceFormat = {
+    rounding: document.currentScript?.getAttribute("data-price-rounding") || "round",
+    cents: document.currentScript?.getAttribute("data-price-cents") || "never",
+    symbol: document.currentScript?.getAttribute("data-price-symbol") || "none"
+  };
 
-    const res = await fetch(apiUrl);
-
-    if (!res.ok) {
-      throw new Error(`Network error: ${res.status}`);
-    }
-
-    const raw = await res.text();
-    let url;
-
-    try {
-      url = JSON.parse(raw).ApplicationUrl;
-    } catch {
-      url = raw;
-    }
-
-    if (!url || !url.startsWith('http')) {
-      throw new Error('Invalid URL received');
-    }
-
-    return url;
-  }
-
-  /**
-   * Decorate URLs with GTM auto-linker for cross-domain tracking
-   * @param {string} url - The URL to decorate
-   * @returns {string} Decorated URL or original if decoration fails
-   */
-  function decorateWithGtmAutoLinker(url) {
-    try {
-      if (typeof gtag === 'undefined') {
-        return url;
-      }
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.style.position = 'absolute';
-      a.style.left = '-9999px';
-      document.body.appendChild(a);
-
-      a.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-
-      const decorated = a.href;
-      a.remove();
-      return decorated || url;
-    } catch (err) {
-      console.warn('[plan-injector] Auto-linker decoration failed, using raw URL', err);
-      return url;
-    }
-  }
+  // Attribution fields appended to the application URL (comma-separated, "none" disables;
+  // defaults to DPR.DEFAULT_HANDOFF_PARAMS)
+  const handoffParams = document.currentScript?.getAttribute("data-handoff-params");
 
   // ============================================================
   // EVENT HANDLER ATTACHMENT FUNCTIONS
@@ -140,13 +67,23 @@
     newBtn.addEventListener('click', async (e) => {
       e.preventDefault();
 
+      const planItem = newBtn.closest('[dpr-results-plan]');
+      const planName = planItem?.getAttribute('dpr-results-plan') || null;
+
+      DPR.emit('apply-clicked', {
+        source: 'plan-injector',
+        planName,
+        premium: planItem ? parseFloat(planItem.dataset.basePremium) : null,
+        confirmationNumber
+      });
+
       const originalText = newBtn.textContent;
       newBtn.disabled = true;
-      newBtn.textContent = 'Loading...';
+      newBtn.textContent = DPR.t('loading', currentScript);
 
       try {
-        const url = await getApplicationUrl(confirmationNumber);
-        const finalUrl = decorateWithGtmAutoLinker(url);
+        const url = await DPR.getApplicationUrl(rootApiURL, confirmationNumber);
+        const finalUrl = DPR.decorateWithGtmAutoLinker(DPR.appendAttributionToUrl(url, handoffParams));
 
         // Short delay for GA hit to flush
         setTimeout(() => {
@@ -154,7 +91,8 @@
         }, 200);
       } catch (err) {
         console.error('[plan-injector] Error getting application URL:', err);
-        newBtn.textContent = 'Error – Try Again';
+        DPR.emit('apply-failed', { source: 'plan-injector', planName, error: err.message });
+        newBtn.textContent = DPR.t('applyError', currentScript);
         newBtn.disabled = false;
       }
     });
@@ -193,9 +131,15 @@
         newTotal += parseFloat(hospitalOption.OptionPremium);
       }
 
-      // Update price display (whole numbers only, no cents)
-      const displayPrice = Math.round(newTotal);
-      priceEl.textContent = displayPrice;
+      // Update price display (formatted per data-price-* attributes)
+      priceEl.textContent = DPR.formatPrice(newTotal, priceFormat);
+
+      DPR.emit('hospital-toggled', {
+        source: 'plan-injector',
+        planName: planItem.getAttribute('dpr-results-plan'),
+        checked: e.target.checked,
+        premium: newTotal
+      });
     });
   }
 
@@ -233,7 +177,7 @@
    */
   function rewireInteractivity(clonedCard) {
     // Get Province to determine button visibility
-    const localData = getLocalStorageData();
+    const localData = DPR.getLocalStorageData();
     const isQuebec = localData?.Province == 10;
 
     // Find all dynamic blocks in the cloned card (or use clonedCard as single block)
@@ -384,50 +328,37 @@
 
   /**
    * Initialize plan injector
-   * Listens for 'plans-populated' event from plan-card-display.js
+   * Subscribes to 'plans-populated' on the DPR event bus (replayed if it already fired)
+   * and re-clones on every later emission, so injected cards follow re-quotes
    */
   function initialize() {
     console.log('[plan-injector] Waiting for plans to be populated...');
 
-    // Check if plans were already populated (handles race condition)
-    if (window.__plansPopulatedData) {
-      console.log('[plan-injector] Plans already populated, processing immediately...', window.__plansPopulatedData);
-
-      // Process injections immediately
-      processAllInjections();
-
-      // Log the API status for debugging
-      if (window.__plansPopulatedData.success) {
-        console.log('[plan-injector] API succeeded - injected cards have full data');
-      } else {
-        console.log('[plan-injector] API failed - injected cards show static content only');
-      }
-
-      return; // Exit early, no need to add listener
-    }
-
-    // Listen for plans-populated event from plan-card-display.js
-    // Use { once: true } to prevent duplicate injections if event fires multiple times
-    window.addEventListener('plans-populated', (event) => {
-      console.log('[plan-injector] Plans populated, starting injection...', event.detail);
+    // Replay covers plan-card-display.js finishing first; each target is emptied
+    // before injecting, so repeated emissions replace the clones instead of duplicating them
+    DPR.on('plans-populated', (detail) => {
+      console.log('[plan-injector] Plans populated, starting injection...', detail);
 
       // Always inject, even if API failed (static content still useful)
       processAllInjections();
 
       // Log the API status for debugging
-      if (event.detail && event.detail.success) {
+      if (detail && detail.success) {
         console.log('[plan-injector] API succeeded - injected cards have full data');
       } else {
         console.log('[plan-injector] API failed - injected cards show static content only');
       }
-    }, { once: true });
+    });
   }
 
-  // Run initialization when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-  } else {
-    initialize();
-  }
+  // Run initialization once the DPR core is loaded and the DOM is ready
+  window.DPR = window.DPR || [];
+  window.DPR.push(() => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+      initialize();
+    }
+  });
 
 })();
@@ -31,6 +31,8 @@
    *  EVENTS:
    *    - 'quebec-ready': Dispatched when utility is initialized
    *      - event.detail.isQuebec: boolean result
+   *    - 'dpr:quebec-ready': Same result on the DPR event bus (replayed to late
+   *      DPR.on('quebec-ready', ...) subscribers) when utilities/dpr-core.js is loaded
    *
    *  RETURNS:
    *    - true: User is in Quebec (Province == 10)
@@ -84,4 +86,10 @@
     }));
   }, 0);
 
+  // Mirror as dpr:quebec-ready on the DPR event bus when utilities/dpr-core.js is on the page
+  window.DPR = window.DPR || [];
+  window.DPR.push(function() {
+    window.DPR.emit('quebec-ready', { source: 'quebec-check', isQuebec: isQuebec() });
+  });
+
 })();